@@ -26,6 +26,7 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
  */
 
 import BasePluginStamp from '../src/base-plugin-stamp.js';
+import WebRtcMixin from '../src/webrtc-mixin.js';
 
 /**
  * @lends EchotestPlugin
@@ -36,7 +37,6 @@ const properties = {
    */
   name: 'janus.plugin.echotest',
 
-  rtcconn: null,
   vid_remote: document.createElement('video'),
   vid_local: document.createElement('video'),
 };
@@ -79,23 +79,23 @@ const methods = {
   },
 
   /**
-   * Receive an asynchronous ('pushed') message sent by the Janus core.
+   * Receive an asynchronous ('pushed') message sent by the server-side plugin.
    *
-   * @public
+   * @protected
    * @override
    */
-  receive(msg) {
-    this.logger.info('Received message from Janus', msg);
+  onPluginData(data) {
+    this.logger.info('Received message from the echotest plugin', data);
   },
 
   /**
    * Set up a bi-directional WebRTC connection:
    *
    * 1. get local media
-   * 2. create and send a SDP offer
-   * 3. receive a SDP answer and add it to the RTCPeerConnection
-   * 4. negotiate ICE (can happen concurrently with the SDP exchange)
-   * 5. Play the video via the `onaddstream` event of RTCPeerConnection
+   * 2. add it to the RTCPeerConnection owned by {@link WebRtcMixin}
+   * 3. create and send a SDP offer, and set the SDP answer of Janus on the RTCPeerConnection
+   * 4. negotiate ICE (trickled by {@link WebRtcMixin}, concurrently with the SDP exchange)
+   * 5. Play the video via the `track` event of {@link WebRtcMixin}
    *
    * @private
    * @override
@@ -113,24 +113,12 @@ const methods = {
     this.vid_local.play();
 
     this.logger.info('Adding local user media to RTCPeerConnection.');
-    this.rtcconn.addStream(localmedia);
-
-    this.logger.info('Creating SDP offer. Please wait...');
-    const jsepOffer = await this.rtcconn.createOffer({
-      audio: true,
-      video: true,
-    });
-    this.logger.info('SDP offer created.');
-
-    this.logger.info('Setting SDP offer on RTCPeerConnection');
-    this.rtcconn.setLocalDescription(jsepOffer);
+    const rtcconn = this.createPeerConnection();
+    localmedia.getTracks().forEach((track) => rtcconn.addTrack(track, localmedia));
 
-    this.logger.info('Getting SDP answer from Janus to our SDP offer. Please wait...');
-    const { jsep: jsepAnswer } = await this.sendJsep(jsepOffer);
-    this.logger.debug('Received SDP answer from Janus.');
-
-    this.logger.debug('Setting the SDP answer on RTCPeerConnection. The `onaddstream` event will fire soon.');
-    this.rtcconn.setRemoteDescription(jsepAnswer);
+    this.logger.info('Negotiating SDP offer and answer with Janus. Please wait...');
+    await this.sendOffer({ audio: true, video: true });
+    this.logger.info('Negotiated. The `track` event will fire soon.');
   },
 };
 
@@ -142,21 +130,14 @@ function init() {
   this.vid_remote.width = 320;
   this.vid_local.width = 320;
 
-  this.rtcconn = new RTCPeerConnection();
-
   this.mediaStream = new MediaStream();
   this.vid_remote.srcObject = this.mediaStream;
   this.vid_remote.play();
 
-  this.rtcconn.ontrack = (event) => {
+  this.on('track', (event) => {
     this.logger.info(`RTCPeerConnection got remote ${event.track.kind} track.`);
     this.mediaStream.addTrack(event.track);
-  };
-
-  // Send ICE events to Janus.
-  this.rtcconn.onicecandidate = (event) => {
-    this.sendTrickle(event.candidate || null);
-  };
+  }, { tag: 'echotest' });
 
   this.vid_local.controls = true;
   this.vid_local.muted = true;
@@ -229,8 +210,9 @@ Object.assign(EchotestPlugin.prototype, methods);
 export default EchotestPlugin;
 */
 
-// Extend BasePlugin and return a "Stamp", which directly returns an instance.
-const factory = BasePluginStamp.compose({
+// Extend BasePlugin and return a "Stamp", which directly returns an instance. The other ways above
+// would need to mix in WebRtcMixin as well.
+const factory = BasePluginStamp.compose(WebRtcMixin, {
   methods,
   properties,
   initializers: [init],
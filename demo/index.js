@@ -25,6 +25,7 @@ import 'webrtc-adapter';
 import loglevel from 'loglevel';
 
 import Session from '../src/session-stamp.js';
+import WebSocketTransport from '../src/websocket-transport.js';
 import EchotestPlugin from './echotest-plugin.js';
 
 loglevel.enableAll();
@@ -34,17 +35,29 @@ const session = Session({
 });
 window.session = session; // for direct access in console
 
-const websocket = new WebSocket('ws://localhost:8188', 'janus-protocol');
+const transport = WebSocketTransport({
+  url: 'ws://localhost:8188',
+  reconnect: true,
+  logger: loglevel,
+});
 
-// Outgoing communications to Janus.
-session.on('output', (msg) => websocket.send(JSON.stringify(msg)));
+session.on('transport_close', ({ reconnecting }) => {
+  if (reconnecting) {
+    loglevel.warn('Lost connection to Janus. Reconnecting...');
+    return;
+  }
+  loglevel.warn('No connection to Janus');
+  session.stop();
+});
 
-// Incoming communications from Janus.
-websocket.addEventListener('message', (event) => session.receive(JSON.parse(event.data)));
+session.on('reclaim_failed', () => {
+  loglevel.error('Session could not be reclaimed after reconnecting');
+  session.stop();
+});
 
-// Create a session server-side once WebSocket is connected.
-websocket.addEventListener('open', async () => {
+(async () => {
   try {
+    await transport.connect(session);
     await session.create();
     loglevel.info(`Session with ID ${session.id} created.`);
   } catch (err) {
@@ -64,9 +77,4 @@ websocket.addEventListener('open', async () => {
   } catch (err) {
     loglevel.error('Error during attaching of plugin', err);
   }
-});
-
-websocket.addEventListener('close', () => {
-  loglevel.warn('No connection to Janus');
-  session.stop();
-});
+})();
@@ -0,0 +1,223 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import SessionStamp from './session-stamp.js';
+import { methods as sessionMethods } from './session.js';
+
+/**
+ * @lends AdminClient.prototype
+ */
+const methods = {
+  /**
+   * Adds `admin_secret` to every message, if configured.
+   *
+   * @private
+   * @override
+   * @param {Object} msg - The message object to send.
+   * @param {Object} [options] - See {@link Session#send}
+   * @returns {Promise} Response from Janus
+   */
+  async send(msg, options) {
+    const payload = { ...msg };
+    if (this.options.adminSecret) payload.admin_secret = this.options.adminSecret;
+    return sessionMethods.send.call(this, payload, options);
+  },
+
+  /**
+   * The Admin API has no session which needs to be kept alive.
+   *
+   * @private
+   * @override
+   */
+  resetKeepalive() {},
+
+  /**
+   * Get information about the server.
+   *
+   * @public
+   * @returns {Promise} Resolves to the `server_info` response from Janus
+   */
+  async info() {
+    return this.send({ janus: 'info' });
+  },
+
+  /**
+   * @public
+   * @returns {Promise<Number[]>} IDs of all sessions on the server
+   */
+  async listSessions() {
+    const { sessions } = await this.send({ janus: 'list_sessions' });
+    return sessions;
+  },
+
+  /**
+   * @public
+   * @param {Number} sessionId
+   * @returns {Promise<Number[]>} IDs of all plugin handles of the session
+   */
+  async listHandles(sessionId) {
+    const { handles } = await this.send({ janus: 'list_handles', session_id: sessionId });
+    return handles;
+  },
+
+  /**
+   * @public
+   * @param {Number} sessionId
+   * @param {Number} handleId
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.plaintext=false] - Do not include the SDPs
+   * @returns {Promise<Object>} Detailed information about the plugin handle, its WebRTC state and
+   * its media
+   */
+  async handleInfo(sessionId, handleId, { plaintext = false } = {}) {
+    const msg = { janus: 'handle_info', session_id: sessionId, handle_id: handleId };
+    if (plaintext) msg.plaintext = true;
+    const { info } = await this.send(msg);
+    return info;
+  },
+
+  /**
+   * @public
+   * @param {Integer} level - Log level between 0 (no logging) and 7 (maximum verbosity)
+   * @returns {Promise<Integer>} The new log level
+   */
+  async setLogLevel(level) {
+    const response = await this.send({ janus: 'set_log_level', level });
+    return response.level;
+  },
+
+  /**
+   * Add a token for the stored-token authentication mechanism.
+   *
+   * @public
+   * @param {String} token
+   * @param {String[]} [plugins] - Names of the plugins the token gives access to. All plugins if
+   * omitted.
+   * @returns {Promise<String[]>} Names of the plugins the token gives access to
+   */
+  async addToken(token, plugins) {
+    const msg = { janus: 'add_token', token };
+    if (plugins) msg.plugins = plugins;
+    const { data } = await this.send(msg);
+    return data.plugins;
+  },
+
+  /**
+   * @public
+   * @param {String} token
+   * @returns {Promise} Response from Janus
+   */
+  async removeToken(token) {
+    return this.send({ janus: 'remove_token', token });
+  },
+
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The stored tokens, each with `token` and `allowed_plugins`
+   */
+  async listTokens() {
+    const { data } = await this.send({ janus: 'list_tokens' });
+    return data.tokens;
+  },
+
+  /**
+   * Start capturing the unencrypted media of a plugin handle into a .pcap file on the server.
+   *
+   * @public
+   * @param {Number} sessionId
+   * @param {Number} handleId
+   * @param {Object} [options={}]
+   * @param {String} [options.folder] - Folder on the server to save the file to
+   * @param {String} [options.filename] - Name of the file
+   * @param {Integer} [options.truncate] - Number of bytes to truncate each packet to
+   * @returns {Promise} Response from Janus
+   */
+  async startPcap(sessionId, handleId, { folder, filename, truncate } = {}) {
+    const msg = { janus: 'start_pcap', session_id: sessionId, handle_id: handleId };
+    if (folder !== undefined) msg.folder = folder;
+    if (filename !== undefined) msg.filename = filename;
+    if (truncate !== undefined) msg.truncate = truncate;
+    return this.send(msg);
+  },
+
+  /**
+   * @public
+   * @param {Number} sessionId
+   * @param {Number} handleId
+   * @returns {Promise} Response from Janus
+   */
+  async stopPcap(sessionId, handleId) {
+    return this.send({ janus: 'stop_pcap', session_id: sessionId, handle_id: handleId });
+  },
+
+  /**
+   * Send a request to an event handler on the server.
+   *
+   * @public
+   * @param {String} handler - Package name of the event handler, e.g.
+   * `janus.eventhandler.sampleevh`
+   * @param {Object} request - Event handler specific request
+   * @returns {Promise<Object>} Event handler specific response
+   */
+  async queryEventHandler(handler, request) {
+    const { response } = await this.send({ janus: 'query_eventhandler', handler, request });
+    return response;
+  },
+};
+
+/**
+ * @constructs AdminClient
+ * @mixes Session
+ *
+ * @classdesc
+ * Client for the Admin/Monitor API of Janus.
+ *
+ * Like {@link Session}, it does not communicate with Janus by itself. Connect it to the admin
+ * interface of Janus with a transport, e.g. {@link WebSocketTransport} with the protocol
+ * `janus-admin-protocol`.
+ *
+ * @example
+ * const admin = AdminClient({ adminSecret: 'janusoverlord' });
+ * const transport = WebSocketTransport({
+ *   url: 'ws://localhost:7188',
+ *   protocol: 'janus-admin-protocol',
+ * });
+ * await transport.connect(admin);
+ * const sessions = await admin.listSessions();
+ *
+ * @param {Object} [options={}] - See {@link Session} for more options
+ * @param {String} [options.adminSecret] - Added as `admin_secret` to every message
+ * @return {AdminClient}
+ */
+function init({ adminSecret } = {}) {
+  this.options.adminSecret = adminSecret;
+}
+
+export default SessionStamp.compose({
+  methods,
+  initializers: [init],
+});
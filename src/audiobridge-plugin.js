@@ -0,0 +1,425 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * @lends AudioBridgePlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.audiobridge',
+
+  /**
+   * The room joined by this handle. `null` if not joined.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  room: null,
+
+  /**
+   * The ID of this handle as participant in the room. `null` if not joined.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  participantId: null,
+};
+
+/**
+ * @lends AudioBridgePlugin
+ */
+const deepProperties = {
+  /**
+   * The other participants in the joined room, by ID. Each has `id`, and as far as reported by the
+   * plugin `display`, `setup`, `muted` and `talking`.
+   * @member {Object}
+   * @instance
+   * @readonly
+   */
+  participants: {},
+};
+
+/**
+ * @lends AudioBridgePlugin.prototype
+ */
+const methods = {
+  /**
+   * Create a room.
+   *
+   * @public
+   * @param {Object} [params={}] - See the documentation of the AudioBridge plugin, e.g. `room`,
+   * `description`, `secret`, `pin`, `is_private`, `sampling_rate`, `record`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin, containing `room`
+   */
+  async create(params = {}) {
+    return this.sendRequest({ ...params, request: 'create' });
+  },
+
+  /**
+   * Change the settings of a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} params - E.g. `secret`, `new_description`, `new_pin`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async edit(room, params) {
+    return this.sendRequest({ ...params, request: 'edit', room });
+  },
+
+  /**
+   * Destroy a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `secret`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async destroy(room, params = {}) {
+    return this.sendRequest({ ...params, request: 'destroy', room });
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @returns {Promise<Boolean>} Does the room exist?
+   */
+  async exists(room) {
+    const { exists } = await this.sendRequest({ request: 'exists', room });
+    return exists;
+  },
+
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The public rooms
+   */
+  async list() {
+    const { list } = await this.sendRequest({ request: 'list' });
+    return list;
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @returns {Promise<Object[]>} The participants of the room
+   */
+  async listParticipants(room) {
+    const { participants } = await this.sendRequest({ request: 'listparticipants', room });
+    return participants;
+  },
+
+  /**
+   * Join a room.
+   *
+   * The plugin replies asynchronously, which is also emitted as
+   * {@link AudioBridgePlugin#event:joined}.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `id`, `display`, `token`, `pin`, `muted`
+   * @returns {Promise} The `joined` event of the plugin. Rejected with a {@link PluginError} if
+   * the plugin refuses.
+   */
+  async join(room, params = {}) {
+    return this.sendMessage({ ...params, request: 'join', room }, undefined, { awaitEvent: true });
+  },
+
+  /**
+   * Change the settings of this participant, optionally (re)negotiating with JSEP.
+   *
+   * @public
+   * @param {Object} params - E.g. `muted`, `display`, `quality`, `volume`, `record`
+   * @param {Object} [jsep]
+   * @returns {Promise} Response from Janus. Carries the JSEP answer if `jsep` was given.
+   */
+  async configure(params, jsep) {
+    return this.sendMessage({ ...params, request: 'configure' }, jsep);
+  },
+
+  /**
+   * Leave the joined room and join another one, without renegotiation.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `id`, `display`, `token`, `pin`, `muted`
+   * @returns {Promise} Response from Janus
+   */
+  async changeRoom(room, params = {}) {
+    return this.sendMessage({ ...params, request: 'changeroom', room });
+  },
+
+  /**
+   * Leave the joined room.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async leave() {
+    return this.sendMessage({ request: 'leave' });
+  },
+
+  /**
+   * Mute a participant.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Number} id - ID of the participant
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async mute(room, id, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'mute', room, id,
+    });
+  },
+
+  /**
+   * Unmute a participant.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Number} id - ID of the participant
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async unmute(room, id, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'unmute', room, id,
+    });
+  },
+
+  /**
+   * Forward the mix of a room as RTP.
+   *
+   * @public
+   * @param {Number} room
+   * @param {String} host - Host to forward to
+   * @param {Integer} port - Port to forward to
+   * @param {Object} [params={}] - E.g. `secret`, `ptype`, `codec`, `group`, `always_on`
+   * @returns {Promise<Number>} ID of the forwarder
+   */
+  async rtpForward(room, host, port, params = {}) {
+    const { stream_id: streamId } = await this.sendRequest({
+      ...params, request: 'rtp_forward', room, host, port,
+    });
+    return streamId;
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @param {Number} streamId - ID of the forwarder
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async stopRtpForward(room, streamId, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'stop_rtp_forward', room, stream_id: streamId,
+    });
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object[]>} The RTP forwarders of the room
+   */
+  async listForwarders(room, params = {}) {
+    const { rtp_forwarders: forwarders } = await this.sendRequest({
+      ...params, request: 'listforwarders', room,
+    });
+    return forwarders;
+  },
+
+  /**
+   * @private
+   * @param {Object[]} participants - Participants as reported by the plugin
+   * @emits AudioBridgePlugin#participant_joined
+   * @emits AudioBridgePlugin#participant_updated
+   */
+  updateParticipants(participants) {
+    participants.forEach((participant) => {
+      const known = this.participants[participant.id];
+      this.participants[participant.id] = { ...known, ...participant };
+      /**
+       * A participant joined the room.
+       * @event AudioBridgePlugin#participant_joined
+       * @type {Object} The participant
+       */
+      /**
+       * A participant changed its settings, e.g. was muted.
+       * @event AudioBridgePlugin#participant_updated
+       * @type {Object} The participant
+       */
+      this.emit(known ? 'participant_updated' : 'participant_joined', this.participants[participant.id]);
+    });
+  },
+
+  /**
+   * @private
+   * @param {Number} id - ID of the participant
+   * @emits AudioBridgePlugin#participant_left
+   */
+  removeParticipant(id) {
+    const participant = this.participants[id];
+    if (!participant) return;
+    delete this.participants[id];
+    /**
+     * A participant left the room.
+     * @event AudioBridgePlugin#participant_left
+     * @type {Object} The participant
+     */
+    this.emit('participant_left', participant);
+  },
+
+  /**
+   * @private
+   * @param {Number} room - The joined room
+   * @param {Number} id - The ID of this handle as participant
+   */
+  resetRoster(room, id) {
+    this.room = room;
+    this.participantId = id;
+    Object.keys(this.participants).forEach((key) => delete this.participants[key]);
+  },
+
+  /**
+   * Decode asynchronous messages of the AudioBridge plugin into events, and keep
+   * {@link AudioBridgePlugin#participants} up to date.
+   *
+   * @protected
+   * @override
+   * @emits AudioBridgePlugin#joined
+   * @emits AudioBridgePlugin#left
+   * @emits AudioBridgePlugin#participant_joined
+   * @emits AudioBridgePlugin#participant_updated
+   * @emits AudioBridgePlugin#participant_left
+   * @emits AudioBridgePlugin#talking
+   * @emits AudioBridgePlugin#room_destroyed
+   * @emits AudioBridgePlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event AudioBridgePlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    switch (data.audiobridge) {
+      case 'joined':
+      case 'roomchanged':
+        // With `id`, this handle joined. Without, other participants joined.
+        if (data.id !== undefined) {
+          this.resetRoster(data.room, data.id);
+          /**
+           * This handle joined a room, or changed to another room.
+           * @event AudioBridgePlugin#joined
+           * @type {Object}
+           * @property {Number} room
+           * @property {Number} id - The ID of this handle as participant
+           */
+          this.emit('joined', { room: data.room, id: data.id });
+        }
+        if (data.participants) this.updateParticipants(data.participants);
+        break;
+
+      case 'left':
+        this.resetRoster(null, null);
+        /**
+         * This handle left the room.
+         * @event AudioBridgePlugin#left
+         * @type {Object}
+         * @property {Number} room
+         */
+        this.emit('left', { room: data.room });
+        break;
+
+      case 'event':
+        if (data.participants) this.updateParticipants(data.participants);
+        if (data.leaving !== undefined) this.removeParticipant(data.leaving);
+        if (data.kicked !== undefined) this.removeParticipant(data.kicked);
+        break;
+
+      case 'talking':
+      case 'stopped-talking': {
+        const talking = data.audiobridge === 'talking';
+        if (this.participants[data.id]) this.participants[data.id].talking = talking;
+        /**
+         * A participant started or stopped talking. Only if the room has `audiolevel_event`.
+         * @event AudioBridgePlugin#talking
+         * @type {Object}
+         * @property {Number} id - ID of the participant
+         * @property {Boolean} talking
+         */
+        this.emit('talking', { id: data.id, talking });
+        break;
+      }
+
+      case 'destroyed':
+        this.resetRoster(null, null);
+        /**
+         * The room has been destroyed.
+         * @event AudioBridgePlugin#room_destroyed
+         * @type {Object}
+         * @property {Number} room
+         */
+        this.emit('room_destroyed', { room: data.room });
+        break;
+
+      default:
+        this.logger.debug(`Ignoring AudioBridge message '${data.audiobridge}'`);
+    }
+  },
+};
+
+/**
+ * @constructs AudioBridgePlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the AudioBridge plugin of Janus (`janus.plugin.audiobridge`), which mixes the audio
+ * of all participants of a room.
+ *
+ * The other participants of the joined room are tracked in
+ * {@link AudioBridgePlugin#participants}.
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/audiobridge.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  deepProperties,
+  methods,
+});
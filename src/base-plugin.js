@@ -1,3 +1,5 @@
+/* eslint-disable import/extensions */
+
 /*
 minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
 
@@ -25,6 +27,10 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
 import EventEmitter from '@michaelfranzl/captain-hook';
 
+import { MinnieJanusError, TimeoutError, abortReason } from './errors.js';
+import withEventIterator from './event-iterator.js';
+
+
 /**
  * @lends BasePlugin
  */
@@ -60,6 +66,45 @@ const properties = {
    * @readonly
    */
   attached: false,
+
+  /**
+   * Opaque identifier sent to Janus when attaching, e.g. to correlate handles of the same user in
+   * event handlers. `null` if none.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  opaqueId: null,
+
+  /**
+   * Index of the event loop of Janus to handle this plugin handle, if Janus is configured with
+   * static event loops. `null` to leave the choice to Janus.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  loopIndex: null,
+
+  /**
+   * Time window in milliseconds in which trickled candidates are collected into one message, see
+   * {@link BasePlugin#sendTrickle}. `0` sends each candidate right away.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  trickleBatchMs: 0,
+
+  /**
+   * Has a JSEP offer or answer been sent since the last hangup? Candidates are held back until
+   * then.
+   * @private
+   */
+  jsep_sent: false,
+
+  /**
+   * @private
+   */
+  trickle_timer: null,
 };
 
 /**
@@ -87,11 +132,14 @@ const methods = {
       janus: 'attach',
       plugin: this.name,
     };
+    if (this.opaqueId !== null) msg.opaque_id = this.opaqueId;
+    if (this.loopIndex !== null) msg.loop_index = this.loopIndex;
 
     const response = await this.session.send(msg);
 
     this.id = response.data.id;
     this.attached = true;
+    this.flushTrickles();
     this.onAttached();
 
     /** @event BasePlugin#attached */
@@ -128,26 +176,54 @@ const methods = {
   async detach() {
     this.logger.debug('detach()');
     await this.send({ janus: 'detach' });
+    this.markDetached();
+  },
 
+  /**
+   * Mark this plugin as detached, be it on request of the client (see {@link BasePlugin#detach}),
+   * of the server (a pushed `detached` message), or because the session has been destroyed. Does
+   * nothing if already detached.
+   *
+   * @protected
+   * @emits BasePlugin#detached
+   */
+  markDetached() {
+    if (!this.attached) return;
     this.attached = false;
+    this.discardTrickles('Plugin detached');
+    this.message_waiters.slice().forEach((waiter) => waiter.reject(new MinnieJanusError('Plugin detached')));
     this.onDetached();
     /** @event BasePlugin#detached */
     this.emit('detached');
   },
 
+  /**
+   * Called by {@link Session} after the session has been reclaimed over a new transport
+   * connection. The plugin handle is still attached on the server.
+   *
+   * @protected
+   * @emits BasePlugin#reconnected
+   */
+  reconnected() {
+    this.logger.debug('reconnected()');
+    /** @event BasePlugin#reconnected */
+    this.emit('reconnected');
+  },
+
   /**
    * @private
    * @param {Object} obj - Should be JSON-serializable. Expected to have a key 'janus'
    * with one of the following values: 'attach|detach|message|trickle|hangup'
+   * @param {Object} [options] - See {@link Session#send}
    *
    * @returns {Promise} Rejected if synchronous reply contains `janus: 'error'` or response
    * takes too long. Resolved otherwise.
    *
    * @see {@link https://janus.conf.meetecho.com/docs/rest.html}
    */
-  async send(obj) {
+  async send(obj, options) {
     this.logger.debug('send()');
-    return this.session.send({ ...obj, handle_id: this.id });
+    return this.session.send({ ...obj, handle_id: this.id }, options);
   },
 
   /**
@@ -161,44 +237,201 @@ const methods = {
    * provided to the `.handle_message` C function as `json_t *message`.
    * @param {Object} [jsep] - Should be JSON-serializable. Will be provided to the
    * `.handle_message` C function as `json_t *jsep`.
+   * @param {Object} [options={}]
+   * @param {Integer} [options.timeoutMs] - Overrides the `timeoutMs` option of the session for
+   * this message, e.g. for a slow negotiation of JSEP
+   * @param {AbortSignal} [options.signal] - When aborted, stop waiting for a response
+   * @param {Boolean} [options.awaitEvent=false] - For requests which the plugin handles
+   * asynchronously (e.g. `join` of the VideoRoom plugin): Skip the `ack` of Janus and wait for the
+   * event of the plugin carrying the result. Rejected with a {@link PluginError} if the event
+   * carries an error. Messages with `jsep` always skip the `ack`, but requests without `jsep`
+   * resolve with the `ack` unless this is set.
    *
-   * @returns {Promise} Response from janus-gateway.
+   * @returns {Promise} Response from janus-gateway. With `jsep` or `options.awaitEvent`, the event
+   * of the plugin with the result in `plugindata`, and possibly a `jsep`.
    */
-  async sendMessage(body = {}, jsep) {
+  async sendMessage(body = {}, jsep, options = {}) {
     const msg = {
       janus: 'message',
       body, // required. 3rd argument in the server-side .handle_message() function
     };
     if (jsep) msg.jsep = jsep; // 'jsep' is a recognized key by Janus. 4th arg in .handle_message().
     this.logger.debug('sendMessage()');
-    return this.send(msg);
+    const response = this.send(msg, options);
+    if (jsep) {
+      // Candidates held back so far can follow the offer or answer now.
+      this.jsep_sent = true;
+      this.flushTrickles();
+    }
+    return response;
+  },
+
+  /**
+   * Like {@link BasePlugin#sendMessage}, but resolves to the response of the server-side plugin.
+   *
+   * Errors of the server-side plugin reject the Promise with a {@link PluginError}.
+   *
+   * @public
+   * @param {Object} body - See {@link BasePlugin#sendMessage}
+   * @param {Object} [jsep] - See {@link BasePlugin#sendMessage}
+   * @param {Object} [options] - See {@link BasePlugin#sendMessage}
+   *
+   * @returns {Promise<Object>} The `plugindata.data` property of the response from Janus. The
+   * whole response if it has none, e.g. an `ack` of a request which the plugin handles
+   * asynchronously, unless `options.awaitEvent` is set.
+   */
+  async sendRequest(body, jsep, options) {
+    const response = await this.sendMessage(body, jsep, options);
+    return response.plugindata ? response.plugindata.data : response;
   },
 
   /**
-   * Alias for `sendMessage({}, jsep)`
+   * Alias for `sendMessage({}, jsep, options)`
    *
    * @public
    * @param {Object} jsep - Should be JSON-serializable. Will be provided to the
    * `.handle_message` C function as `json_t *jsep`.
+   * @param {Object} [options] - See {@link BasePlugin#sendMessage}
    *
    * @returns {Promise} Response from janus-gateway.
    */
-  async sendJsep(jsep) {
+  async sendJsep(jsep, options) {
     this.logger.debug('sendJsep()');
-    return this.sendMessage({}, jsep);
+    return this.sendMessage({}, jsep, options);
   },
 
   /**
    * Send trickle ICE candidates to the janus core, related to this plugin.
    *
+   * Candidates are held back until this plugin is attached and a JSEP offer or answer has been
+   * sent, and are collected for {@link BasePlugin#trickleBatchMs}. Collected candidates are sent
+   * in one message as `candidates` array. The end of candidates is sent right away.
+   *
    * @public
-   * @param {(Object|Array|null)} candidate Should be JSON-serializable.
+   * @param {(Object|Array|null)} candidate Should be JSON-serializable. An array of candidates,
+   * or `null` or `{ completed: true }` for the end of candidates.
    *
-   * @returns {Promise} Response from janus-gateway.
+   * @returns {Promise} Response from janus-gateway to the message carrying the candidate. Resolves
+   * with `null` if the candidate is discarded because of a hangup or detach, so that candidates
+   * trickled without awaiting them do not cause unhandled rejections then.
    */
   async sendTrickle(candidate) {
     this.logger.debug('sendTrickle()');
-    return this.send({ janus: 'trickle', candidate });
+    const candidates = Array.isArray(candidate) ? candidate : [candidate];
+    const completed = candidates.some((c) => c === null || c.completed);
+
+    const response = new Promise((resolve) => {
+      candidates.forEach((c) => {
+        const entry = c === null ? { completed: true } : c;
+        this.trickle_queue.push({ candidate: entry, resolve });
+      });
+    });
+
+    if (completed || !this.trickleBatchMs) {
+      this.flushTrickles();
+    } else if (!this.trickle_timer) {
+      this.trickle_timer = setTimeout(() => this.flushTrickles(), this.trickleBatchMs);
+    }
+    return response;
+  },
+
+  /**
+   * Send all queued candidates in one message, if attached and a JSEP has been sent.
+   *
+   * @private
+   */
+  flushTrickles() {
+    if (!this.attached || !this.jsep_sent || !this.trickle_queue.length) return;
+    clearTimeout(this.trickle_timer);
+    this.trickle_timer = null;
+
+    const queue = this.trickle_queue.splice(0);
+    const msg = { janus: 'trickle' };
+    if (queue.length === 1) msg.candidate = queue[0].candidate;
+    else msg.candidates = queue.map((entry) => entry.candidate);
+
+    const response = this.send(msg);
+    queue.forEach(({ resolve }) => resolve(response));
+  },
+
+  /**
+   * Forget all queued candidates, e.g. because their PeerConnection is gone. Their Promises
+   * resolve with `null`.
+   *
+   * @private
+   * @param {String} reason
+   */
+  discardTrickles(reason) {
+    clearTimeout(this.trickle_timer);
+    this.trickle_timer = null;
+    this.jsep_sent = false;
+    const queue = this.trickle_queue.splice(0);
+    if (queue.length) this.logger.debug(`Discarding ${queue.length} candidates: ${reason}`);
+    queue.forEach(({ resolve }) => resolve(null));
+  },
+
+  /**
+   * Wait for a message pushed by Janus to this handle, e.g. `webrtcup` or a certain event of the
+   * server-side plugin. Only messages received after the call are considered.
+   *
+   * @example
+   * await plugin.waitFor('webrtcup', { timeoutMs: 10000 });
+   * await plugin.waitFor((msg) => msg.plugindata && msg.plugindata.data.videoroom === 'joined');
+   *
+   * @public
+   * @param {(String|Function)} predicate - The `janus` property of the awaited message, or a
+   * function called with each pushed message, returning `true` for the awaited one
+   * @param {Object} [options={}]
+   * @param {Integer} [options.timeoutMs] - Give up after this many milliseconds. Waits
+   * indefinitely by default.
+   * @param {AbortSignal} [options.signal] - When aborted, stop waiting
+   * @returns {Promise<Object>} The message. Rejected with a {@link TimeoutError}, the abort reason
+   * of `signal`, or a {@link MinnieJanusError} when the plugin is detached before.
+   */
+  waitFor(predicate, { timeoutMs, signal } = {}) {
+    const matches = typeof predicate === 'function' ? predicate : (msg) => msg.janus === predicate;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+
+      const waiter = { matches };
+      const onAbort = () => waiter.settle(() => reject(abortReason(signal)));
+      waiter.settle = (settle) => {
+        this.message_waiters.splice(this.message_waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        settle();
+      };
+      waiter.resolve = (msg) => waiter.settle(() => resolve(msg));
+      waiter.reject = (err) => waiter.settle(() => reject(err));
+
+      if (timeoutMs !== undefined) {
+        waiter.timeout = setTimeout(() => {
+          waiter.reject(new TimeoutError(undefined, timeoutMs));
+        }, timeoutMs);
+      }
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.message_waiters.push(waiter);
+    });
+  },
+
+  /**
+   * Resolve the calls of {@link BasePlugin#waitFor} waiting for `msg`.
+   *
+   * @private
+   * @param {Object} msg - Pushed message
+   */
+  resolveWaiters(msg) {
+    this.message_waiters.slice().forEach((waiter) => {
+      try {
+        if (waiter.matches(msg)) waiter.resolve(msg);
+      } catch (err) {
+        waiter.reject(err);
+      }
+    });
   },
 
   /**
@@ -218,14 +451,119 @@ const methods = {
    * The parent Session instance is responsible for dispatching messages here. You should have no
    * need of calling this method directly.
    *
-   * This method always contains plugin-specific logic and can be overridden.
+   * Messages of the Janus core are decoded into events. Messages of the server-side plugin are
+   * given to {@link BasePlugin#onPluginData}, which contains the plugin-specific logic. Plugins
+   * should override that one instead of this method.
    *
    * @protected
-   * @abstract
    * @param {Object} msg - Object parsed from server-side JSON
+   * @emits BasePlugin#webrtcup
+   * @emits BasePlugin#media
+   * @emits BasePlugin#slowlink
+   * @emits BasePlugin#hangup
+   * @emits BasePlugin#trickle
+   * @emits BasePlugin#detached
    */
   async receive(msg) {
-    this.logger.debug(`Abstract method 'receive' called with message ${msg}`);
+    this.logger.debug('receive()', msg);
+    this.resolveWaiters(msg);
+
+    switch (msg.janus) {
+      case 'event':
+        if (msg.plugindata) this.onPluginData(msg.plugindata.data, msg.jsep, msg);
+        break;
+
+      case 'webrtcup':
+        /**
+         * The PeerConnection with Janus is up.
+         * @event BasePlugin#webrtcup
+         */
+        this.emit('webrtcup');
+        break;
+
+      case 'media':
+        /**
+         * Janus started or stopped receiving media.
+         * @event BasePlugin#media
+         * @type {Object}
+         * @property {String} type - `audio` or `video`
+         * @property {Boolean} receiving
+         * @property {String} [mid] - The media stream, for multistream versions of Janus
+         * @property {Integer} [substream] - The simulcast substream, if any
+         * @property {Integer} [seconds] - Seconds without media which triggered the message
+         */
+        this.emit('media', {
+          type: msg.type,
+          receiving: msg.receiving,
+          mid: msg.mid,
+          substream: msg.substream,
+          seconds: msg.seconds,
+        });
+        break;
+
+      case 'slowlink':
+        /**
+         * Janus reported problems with the media.
+         * @event BasePlugin#slowlink
+         * @type {Object}
+         * @property {Boolean} uplink - `true` if the problems are with the media sent to Janus
+         * @property {Integer} lost - Number of lost packets
+         * @property {String} [mid] - The media stream, for multistream versions of Janus
+         * @property {String} [media] - `audio` or `video`
+         */
+        this.emit('slowlink', {
+          uplink: msg.uplink,
+          lost: msg.lost,
+          mid: msg.mid,
+          media: msg.media,
+        });
+        break;
+
+      case 'hangup':
+        /**
+         * The PeerConnection with Janus has been closed. The plugin is still attached.
+         * @event BasePlugin#hangup
+         * @type {Object}
+         * @property {String} reason
+         */
+        this.discardTrickles('Hung up');
+        this.emit('hangup', { reason: msg.reason });
+        break;
+
+      case 'trickle':
+        /**
+         * Janus sent a trickle ICE candidate. `candidate.completed` is `true` at the end of
+         * candidates.
+         * @event BasePlugin#trickle
+         * @type {Object}
+         * @property {Object} candidate
+         */
+        this.emit('trickle', { candidate: msg.candidate });
+        break;
+
+      case 'detached':
+        this.markDetached();
+        break;
+
+      default:
+        this.logger.debug(`Ignoring message of unknown type '${msg.janus}'`);
+    }
+  },
+
+  /**
+   * Receive a message of the server-side plugin, pushed by Janus in a message with
+   * `janus: 'event'`.
+   *
+   * This method contains plugin-specific logic and is meant to be overridden.
+   *
+   * @protected
+   * @abstract
+   * @param {Object} data - The `plugindata.data` property of the message
+   * @param {Object} [jsep] - The `jsep` property of the message, if any
+   * @param {Object} msg - The complete message
+   */
+  onPluginData(data) {
+    this.logger.debug('onPluginData() abstract method called', data);
   },
 };
 
@@ -245,12 +583,18 @@ const methods = {
  *
  * See /demo/echotest-plugin.js for usage.
  *
+ * Besides `on()` and `once()`, events can be consumed with `for await` via `events()`, see
+ * {@link module:event-iterator}. The iteration ends after `detached`.
+ *
  * @param {Object} [options={}]
  * @param {Object} [options.logger] - The logger to use
  * @param {Function} [options.logger.info=function(){}]
  * @param {Function} [options.logger.warn=function(){}]
  * @param {Function} [options.logger.debug=function(){}]
  * @param {Function} [options.logger.error=function(){}]
+ * @param {String} [options.opaqueId] - See {@link BasePlugin#opaqueId}
+ * @param {Integer} [options.loopIndex] - See {@link BasePlugin#loopIndex}
+ * @param {Integer} [options.trickleBatchMs=0] - See {@link BasePlugin#trickleBatchMs}
  * @return {BasePlugin}
  */
 function init({
@@ -260,7 +604,26 @@ function init({
     debug() {},
     error() {},
   },
+  opaqueId,
+  loopIndex,
+  trickleBatchMs,
 } = {}) {
+  if (opaqueId !== undefined) this.opaqueId = opaqueId;
+  if (loopIndex !== undefined) this.loopIndex = loopIndex;
+  if (trickleBatchMs !== undefined) this.trickleBatchMs = trickleBatchMs;
+
+  /**
+   * Candidates waiting to be sent by {@link BasePlugin#flushTrickles}.
+   * @private
+   */
+  this.trickle_queue = [];
+
+  /**
+   * Pending calls of {@link BasePlugin#waitFor}.
+   * @private
+   */
+  this.message_waiters = [];
+
   /**
    * @member {Object}
    * @property {Function} info - Called for log level 'info'
@@ -271,7 +634,7 @@ function init({
   this.logger = logger;
 }
 
-Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
+Object.assign(methods, withEventIterator(EventEmitter({ emit_prop: 'emit' }), { end: 'detached' }));
 
 export default {
   properties, methods, init,
@@ -0,0 +1,218 @@
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import stampit from '@stamp/it';
+import EventEmitter from '@michaelfranzl/captain-hook';
+
+/**
+ * @lends BaseTransport
+ */
+const properties = {
+  /**
+   * The session connected via {@link BaseTransport#connect}.
+   * @member {Session}
+   * @instance
+   * @readonly
+   */
+  session: null,
+};
+
+/**
+ * @lends BaseTransport.prototype
+ */
+const methods = {
+  /**
+   * Wire up a session to this transport, then open the transport.
+   *
+   * Outgoing messages of the session (see {@link Session#event:output}) are given to
+   * {@link BaseTransport#send}, incoming messages (see {@link BaseTransport#event:message}) are
+   * given to {@link Session#receive}. The session is notified when the transport opens, closes or
+   * fails, and the transport is notified when the session lost the connection (see
+   * {@link Session#event:connection_lost}).
+   *
+   * @public
+   * @param {Session} session - An instance of {@link Session}
+   * @returns {Promise} Resolved when the transport is open.
+   */
+  async connect(session) {
+    this.logger.debug('connect()');
+    this.session = session;
+    session.on('output', (msg) => {
+      // `send()` of some transports is async, and nothing else would notice its failures.
+      Promise.resolve(this.send(msg)).catch((err) => {
+        this.logger.error(`Sending '${msg.janus}' failed`, err);
+      });
+    }, { tag: this.tag });
+    this.on('message', (msg) => session.receive(msg), { tag: this.tag });
+    session.on('connection_lost', (err) => this.connectionLost(err), { tag: this.tag });
+    return this.open();
+  },
+
+  /**
+   * Undo the wiring done by {@link BaseTransport#connect}, then close the transport.
+   *
+   * @public
+   * @returns {Promise} Resolved when the transport is closed.
+   */
+  async disconnect() {
+    this.logger.debug('disconnect()');
+    if (this.session) {
+      this.session.off('output', this.tag);
+      this.session.off('connection_lost', this.tag);
+      this.off('message', this.tag);
+    }
+    await this.close();
+    this.session = null;
+  },
+
+  /**
+   * @protected
+   * @emits BaseTransport#open
+   */
+  opened() {
+    /** @event BaseTransport#open */
+    this.emit('open');
+    if (this.session) this.session.transportOpened();
+  },
+
+  /**
+   * @protected
+   * @param {Object} details - Transport-specific details about the closing
+   * @emits BaseTransport#close
+   */
+  closed(details) {
+    /**
+     * @event BaseTransport#close
+     * @type {Object} Transport-specific details about the closing
+     */
+    this.emit('close', details);
+    if (this.session) this.session.transportClosed(details);
+  },
+
+  /**
+   * @protected
+   * @param {Error} err
+   * @emits BaseTransport#error
+   */
+  failed(err) {
+    /**
+     * @event BaseTransport#error
+     * @type {Error}
+     */
+    this.emit('error', err);
+    if (this.session) this.session.transportFailed(err);
+  },
+
+  /**
+   * @protected
+   * @param {Object} msg - Message parsed from the JSON sent by Janus
+   * @emits BaseTransport#message
+   */
+  received(msg) {
+    /**
+     * @event BaseTransport#message
+     * @type {Object} Message parsed from the JSON sent by Janus
+     */
+    this.emit('message', msg);
+  },
+
+  /**
+   * Called when the connected session considers the connection to Janus lost, although the
+   * transport may still seem open. Transports which can reconnect override this.
+   *
+   * @protected
+   * @param {Error} err - The reason given by the session
+   */
+  connectionLost(err) {
+    this.logger.debug('connectionLost()', err);
+  },
+
+  /**
+   * Open the transport.
+   *
+   * @public
+   * @abstract
+   * @returns {Promise} Resolved when the transport is open.
+   */
+  async open() { throw new Error('Abstract method called'); },
+
+  /**
+   * Close the transport.
+   *
+   * @public
+   * @abstract
+   * @returns {Promise} Resolved when the transport is closed.
+   */
+  async close() { throw new Error('Abstract method called'); },
+
+  /**
+   * Serialize a message and send it to Janus.
+   *
+   * @public
+   * @abstract
+   * @param {Object} msg - Should be JSON-serializable.
+   */
+  send() { throw new Error('Abstract method called'); },
+};
+
+Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
+
+let instanceCount = 0;
+
+/**
+ * @constructs BaseTransport
+ * @mixes EventEmitter
+ *
+ * @classdesc
+ *
+ * The base behavior of a transport between a {@link Session} and Janus: Wiring up the session and
+ * notifying it about the state of the transport. Extended by {@link WebSocketTransport} and
+ * {@link HttpTransport}.
+ *
+ * @param {Object} [options={}]
+ * @param {Object} [options.logger] - The logger to use
+ * @param {Function} [options.logger.info=function(){}]
+ * @param {Function} [options.logger.warn=function(){}]
+ * @param {Function} [options.logger.debug=function(){}]
+ * @param {Function} [options.logger.error=function(){}]
+ * @return {BaseTransport}
+ */
+function init({
+  logger = {
+    info() {},
+    warn() {},
+    debug() {},
+    error() {},
+  },
+} = {}) {
+  this.logger = logger;
+
+  instanceCount += 1;
+  this.tag = `transport-${instanceCount}`;
+}
+
+export default stampit({
+  properties, methods, init,
+});
@@ -0,0 +1,56 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Registers the clients of the plugins shipped with Janus in {@link module:plugin-registry} when
+ * imported. Re-exports the functions of the registry.
+ *
+ * @example
+ * import { getPlugin } from 'minnie-janus/src/builtin-plugins.js';
+ *
+ * const session = Session({ getPlugin });
+ * const videoRoom = await session.attach('janus.plugin.videoroom');
+ *
+ * @module builtin-plugins
+ */
+
+import { registerPlugin } from './plugin-registry.js';
+import AudioBridgePlugin from './audiobridge-plugin.js';
+import RecordPlayPlugin from './recordplay-plugin.js';
+import SipPlugin from './sip-plugin.js';
+import StreamingPlugin from './streaming-plugin.js';
+import TextRoomPlugin from './textroom-plugin.js';
+import VideoCallPlugin from './videocall-plugin.js';
+import VideoRoomPlugin from './videoroom-plugin.js';
+
+export * from './plugin-registry.js';
+
+[
+  AudioBridgePlugin,
+  RecordPlayPlugin,
+  SipPlugin,
+  StreamingPlugin,
+  TextRoomPlugin,
+  VideoCallPlugin,
+  VideoRoomPlugin,
+].forEach((stamp) => registerPlugin(stamp.compose.properties.name, stamp));
@@ -0,0 +1,238 @@
+/* eslint-disable max-classes-per-file */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Error classes for the failure modes of the communication with Janus.
+ *
+ * All errors are instances of {@link MinnieJanusError} and keep the original outgoing message
+ * which failed in the property `payload`, so that callers can branch on the error type:
+ *
+ * @example
+ * try {
+ *   await session.attachPlugin(plugin);
+ * } catch (err) {
+ *   if (err instanceof JanusError && err.code === JanusError.codes.PLUGIN_NOT_FOUND) {
+ *     // ...
+ *   }
+ * }
+ *
+ * @module
+ */
+
+/**
+ * Base class of all errors of minnie-janus.
+ */
+class MinnieJanusError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [payload] - The outgoing message which failed
+   */
+  constructor(message, payload) {
+    super(message);
+    this.name = this.constructor.name;
+
+    /**
+     * The outgoing message which failed.
+     * @member {Object}
+     */
+    this.payload = payload;
+  }
+}
+
+/**
+ * Janus replied with `janus: 'error'`.
+ */
+class JanusError extends MinnieJanusError {
+  /**
+   * @param {Object} response - The error response from Janus
+   * @param {Object} [payload] - The outgoing message which failed
+   */
+  constructor(response, payload) {
+    const { code, reason } = response.error;
+    super(`Janus error ${code}: ${reason}`, payload);
+
+    /**
+     * Numeric error code, see {@link JanusError.codes}.
+     * @member {Integer}
+     */
+    this.code = code;
+
+    /**
+     * Human-readable reason given by Janus.
+     * @member {String}
+     */
+    this.reason = reason;
+
+    /**
+     * The error response from Janus.
+     * @member {Object}
+     */
+    this.response = response;
+  }
+}
+
+/**
+ * The error codes of the Janus core, as defined in `apierror.h` of janus-gateway.
+ *
+ * @readonly
+ * @enum {Integer}
+ */
+JanusError.codes = Object.freeze({
+  UNAUTHORIZED: 403,
+  UNAUTHORIZED_PLUGIN: 405,
+  UNKNOWN: 490,
+  TRANSPORT_SPECIFIC: 450,
+  MISSING_REQUEST: 452,
+  UNKNOWN_REQUEST: 453,
+  INVALID_JSON: 454,
+  INVALID_JSON_OBJECT: 455,
+  MISSING_MANDATORY_ELEMENT: 456,
+  INVALID_REQUEST_PATH: 457,
+  SESSION_NOT_FOUND: 458,
+  HANDLE_NOT_FOUND: 459,
+  PLUGIN_NOT_FOUND: 460,
+  PLUGIN_ATTACH: 461,
+  PLUGIN_MESSAGE: 462,
+  PLUGIN_DETACH: 463,
+  JSEP_UNKNOWN_TYPE: 464,
+  JSEP_INVALID_SDP: 465,
+  TRICKLE_INVALID_STREAM: 466,
+  INVALID_ELEMENT_TYPE: 467,
+  SESSION_CONFLICT: 468,
+  UNEXPECTED_ANSWER: 469,
+  TOKEN_NOT_FOUND: 470,
+  WEBRTC_STATE: 471,
+  NOT_ACCEPTING_SESSIONS: 472,
+});
+
+/**
+ * A server-side plugin replied with an error inside of `plugindata.data`.
+ */
+class PluginError extends MinnieJanusError {
+  /**
+   * @param {Object} response - The response from Janus carrying the plugin error
+   * @param {Object} [payload] - The outgoing message which failed
+   */
+  constructor(response, payload) {
+    const { plugin, data } = response.plugindata;
+    super(`Plugin error ${data.error_code} from ${plugin}: ${data.error}`, payload);
+
+    /**
+     * Plugin-specific numeric error code. `undefined` if the plugin did not provide one.
+     * @member {Integer}
+     */
+    this.code = data.error_code;
+
+    /**
+     * Human-readable reason given by the plugin.
+     * @member {String}
+     */
+    this.reason = data.error;
+
+    /**
+     * Name of the plugin, e.g. `janus.plugin.videoroom`
+     * @member {String}
+     */
+    this.plugin = plugin;
+
+    /**
+     * The response from Janus.
+     * @member {Object}
+     */
+    this.response = response;
+  }
+}
+
+/**
+ * Janus did not reply in time.
+ */
+class TimeoutError extends MinnieJanusError {
+  /**
+   * @param {Object} [payload] - The outgoing message which timed out, if any
+   * @param {Integer} timeoutMs - The time waited for a reply
+   */
+  constructor(payload, timeoutMs) {
+    super(payload === undefined
+      ? `Timed out after ${timeoutMs} ms`
+      : `Signalling message timed out after ${timeoutMs} ms ${JSON.stringify(payload)}`, payload);
+
+    /**
+     * The time waited for a reply.
+     * @member {Integer}
+     */
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The transport to Janus was closed before a reply arrived.
+ */
+class TransportClosedError extends MinnieJanusError {
+  /**
+   * @param {Object} payload - The outgoing message which did not get a reply
+   * @param {Object} [details] - Transport-specific details about the closing
+   */
+  constructor(payload, details) {
+    super(`Transport closed before a reply arrived ${JSON.stringify(payload)}`, payload);
+
+    /**
+     * Transport-specific details about the closing.
+     * @member {Object}
+     */
+    this.details = details;
+  }
+}
+
+/**
+ * The server-side session was destroyed before a reply arrived.
+ */
+class SessionDestroyedError extends MinnieJanusError {
+  /**
+   * @param {Object} payload - The outgoing message which did not get a reply
+   * @param {String} reason - See {@link Session#event:destroyed}
+   */
+  constructor(payload, reason) {
+    super(`Session destroyed (${reason}) before a reply arrived ${JSON.stringify(payload)}`, payload);
+
+    /**
+     * See {@link Session#event:destroyed}
+     * @member {String}
+     */
+    this.reason = reason;
+  }
+}
+
+/**
+ * @param {AbortSignal} signal - An aborted signal
+ * @param {Object} [payload] - The outgoing message which was aborted, if any
+ * @returns {*} The abort reason of the signal, or a {@link MinnieJanusError} for environments
+ * which don't provide one
+ */
+function abortReason(signal, payload) {
+  return signal.reason !== undefined ? signal.reason : new MinnieJanusError('Aborted', payload);
+}
+
+export {
+  MinnieJanusError, JanusError, PluginError, TimeoutError, TransportClosedError,
+  SessionDestroyedError, abortReason,
+};
@@ -0,0 +1,145 @@
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Async iteration over the events of an {@link EventEmitter}, for writing sequential signalling
+ * code with `for await` instead of event handlers:
+ *
+ * @example
+ * for await (const { name, data } of plugin.events({ names: ['joined', 'publishers'] })) {
+ *   // ...
+ * }
+ *
+ * @module event-iterator
+ */
+
+/**
+ * Add async iteration to the methods of an {@link EventEmitter}: Wraps its `emit` method, and
+ * adds the method `events()`, see {@link module:event-iterator~events}.
+ *
+ * @param {EventEmitter} emitter - Methods of an EventEmitter with `emit_prop: 'emit'`
+ * @param {Object} [options={}]
+ * @param {String} [options.end] - Name of the event after which iterations end, e.g. `detached`
+ * @returns {Object} The methods of `emitter`, extended
+ */
+function withEventIterator(emitter, { end } = {}) {
+  const { emit } = emitter;
+
+  return {
+    ...emitter,
+
+    emit(name, ...args) {
+      if (this.event_taps) {
+        this.event_taps.slice().forEach(({ tap, finish }) => {
+          tap(name, args[0]);
+          if (name === end) finish();
+        });
+      }
+      return emit.call(this, name, ...args);
+    },
+
+    /**
+     * Iterate asynchronously over emitted events. Events are buffered until they are consumed.
+     * The iteration ends when the loop is left, when `options.signal` is aborted, or after the
+     * final event of the emitter, e.g. `detached` of a plugin.
+     *
+     * @function events
+     * @param {Object} [options={}]
+     * @param {(String|String[])} [options.names] - Only these events. All events by default.
+     * @param {Function} [options.filter] - Only events for which this returns `true`, called with
+     * the event. If it throws, the iteration ends with the error, after the buffered events.
+     * @param {AbortSignal} [options.signal] - When aborted, end the iteration
+     * @returns {AsyncIterator<Object>} Events with the properties `name` and `data`, the latter
+     * being the payload of the event
+     */
+    events({ names, filter, signal } = {}) {
+      const wanted = names === undefined ? null : [].concat(names);
+      const queue = [];
+      // Resolvers and rejecters of the calls of `next()` waiting for an event, in order
+      const waiting = [];
+      let done = false;
+      // Error of `filter`, for the next call of `next()`
+      let failure = null;
+
+      if (!this.event_taps) this.event_taps = [];
+      const taps = this.event_taps;
+
+      function finish() {
+        if (done) return;
+        done = true;
+        taps.splice(taps.findIndex((subscriber) => subscriber.finish === finish), 1);
+        if (signal) signal.removeEventListener('abort', finish);
+        waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+      }
+
+      // End the iteration with an error, without bothering the emitter and the other iterations.
+      function fail(err) {
+        if (done) return;
+        if (waiting.length > 0) waiting.shift().reject(err);
+        else failure = err;
+        finish();
+      }
+
+      function tap(name, data) {
+        const event = { name, data };
+        if (wanted && !wanted.includes(name)) return;
+        try {
+          if (filter && !filter(event)) return;
+        } catch (err) {
+          fail(err);
+          return;
+        }
+        if (waiting.length > 0) waiting.shift().resolve({ value: event, done: false });
+        else queue.push(event);
+      }
+
+      taps.push({ tap, finish });
+      if (signal) {
+        if (signal.aborted) finish();
+        else signal.addEventListener('abort', finish);
+      }
+
+      return {
+        next() {
+          if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+          if (failure) {
+            const err = failure;
+            failure = null;
+            return Promise.reject(err);
+          }
+          if (done) return Promise.resolve({ value: undefined, done: true });
+          return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        return() {
+          finish();
+          queue.length = 0;
+          failure = null;
+          return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+      };
+    },
+  };
+}
+
+export default withEventIterator;
@@ -0,0 +1,527 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BaseTransport from './base-transport.js';
+import { JanusError } from './errors.js';
+
+const { codes } = JanusError;
+
+/**
+ * @lends FakeJanus
+ */
+const properties = {
+  /**
+   * Delay of every message sent by the fake Janus, in milliseconds.
+   * @member {Integer}
+   * @instance
+   */
+  latencyMs: 0,
+
+  /**
+   * The next session or handle ID handed out.
+   * @private
+   */
+  next_id: 1,
+};
+
+/**
+ * @lends FakeJanus
+ */
+const deepProperties = {
+  /**
+   * Fake plugin handlers by plugin name, see {@link FakeJanus#registerPlugin}.
+   * @member {Object}
+   * @instance
+   * @readonly
+   */
+  plugins: {},
+
+  /**
+   * Server-side sessions by ID. Each one has the properties `id` and `handles`, the latter
+   * containing the {@link FakeJanus~Handle}s of the session by ID.
+   * @member {Object}
+   * @instance
+   * @readonly
+   */
+  sessions: {},
+
+  /**
+   * All messages received from the session, in order. Useful for assertions.
+   * @member {Object[]}
+   * @instance
+   * @readonly
+   */
+  requests: [],
+
+  /**
+   * Pending timers of messages about to be sent.
+   * @private
+   */
+  timers: [],
+};
+
+/**
+ * A server-side plugin handle, as given to the fake plugin handlers.
+ *
+ * @typedef {Object} FakeJanus~Handle
+ * @property {Integer} id
+ * @property {Integer} sessionId
+ * @property {String} plugin - Name of the plugin
+ * @property {String} [opaqueId]
+ * @property {Boolean} webrtc - Has JSEP been exchanged, i.e. is there a PeerConnection?
+ * @property {Object} state - Free for use by the fake plugin handler
+ * @property {Function} event - `event(data, jsep, transaction)` pushes a plugin event
+ * @property {Function} push - `push(msg)` pushes any message (e.g. `{ janus: 'webrtcup' }`) on
+ * behalf of this handle
+ */
+
+/**
+ * A fake server-side plugin. All methods are optional.
+ *
+ * `message` receives each message sent to the handle. If it returns an object, Janus replies
+ * synchronously with `success` and the object as `plugindata.data`. If it returns `undefined`,
+ * Janus replies with `ack`, and the plugin answers later by calling `respond(data, jsep)`, which
+ * pushes an event with the transaction of the message. If it throws, Janus replies with error 462
+ * (`PLUGIN_MESSAGE`).
+ *
+ * @typedef {Object} FakeJanus~PluginHandler
+ * @property {Function} [attach] - `attach(handle)`
+ * @property {Function} [message] - `message({ body, jsep, transaction, respond }, handle)`
+ * @property {Function} [trickle] - `trickle(candidate, handle)`, with `candidates` called once
+ * per candidate
+ * @property {Function} [hangup] - `hangup(handle)`
+ * @property {Function} [detach] - `detach(handle)`
+ */
+
+/**
+ * @lends FakeJanus.prototype
+ */
+const methods = {
+  /**
+   * Add a fake server-side plugin. Handles can be attached only to registered plugins.
+   *
+   * @public
+   * @param {String} name - Plugin name, e.g. `janus.plugin.echotest`
+   * @param {(FakeJanus~PluginHandler|Function)} handler - A function is used as `message`
+   * @returns {FakeJanus} This instance, for chaining
+   */
+  registerPlugin(name, handler) {
+    this.plugins[name] = typeof handler === 'function' ? { message: handler } : handler;
+    return this;
+  },
+
+  /**
+   * @public
+   * @param {(Integer|String)} id
+   * @returns {(FakeJanus~Handle|undefined)} The server-side handle with the ID, of any session
+   */
+  getHandle(id) {
+    const sessions = Object.values(this.sessions);
+    for (let i = 0; i < sessions.length; i += 1) {
+      const handle = sessions[i].handles[id];
+      if (handle) return handle;
+    }
+    return undefined;
+  },
+
+  /**
+   * Push a plugin event on behalf of a handle.
+   *
+   * @public
+   * @param {(Integer|String)} handleId
+   * @param {Object} data - Goes into `plugindata.data`
+   * @param {Object} [jsep]
+   * @param {String} [transaction] - Of the message which the event answers
+   */
+  pushEvent(handleId, data, jsep, transaction) {
+    this.requireHandle(handleId).event(data, jsep, transaction);
+  },
+
+  /**
+   * Close the PeerConnection of a handle, as when ICE fails or the media stops. Janus pushes
+   * `hangup`, and the plugin is notified.
+   *
+   * @public
+   * @param {(Integer|String)} handleId
+   * @param {String} [reason=Close PC]
+   */
+  hangupHandle(handleId, reason = 'Close PC') {
+    const handle = this.requireHandle(handleId);
+    if (!handle.webrtc) return;
+    handle.webrtc = false;
+    this.callPlugin(handle, 'hangup', handle);
+    handle.push({ janus: 'hangup', reason });
+  },
+
+  /**
+   * Detach a handle on the server side, as when the plugin is unloaded. Janus pushes `detached`.
+   *
+   * @public
+   * @param {(Integer|String)} handleId
+   */
+  detachHandle(handleId) {
+    const handle = this.requireHandle(handleId);
+    this.removeHandle(handle);
+    handle.push({ janus: 'detached' });
+  },
+
+  /**
+   * Destroy a session for lack of keepalives. Janus pushes `timeout`.
+   *
+   * @public
+   * @param {(Integer|String)} sessionId
+   */
+  timeoutSession(sessionId) {
+    const session = this.sessions[sessionId];
+    if (!session) throw new Error(`No session with ID ${sessionId}`);
+    this.removeSession(session);
+    this.deliver({ janus: 'timeout', session_id: session.id });
+  },
+
+  /**
+   * Receive a message from the session, and reply as Janus does.
+   *
+   * @public
+   * @param {Object} msg - Outgoing message of the session
+   */
+  send(msg) {
+    this.logger.debug('FakeJanus receiving', msg);
+    this.requests.push(msg);
+
+    const reply = this.handleRequest(msg);
+    if (reply) this.deliver({ ...reply, transaction: msg.transaction });
+  },
+
+  /**
+   * @public
+   * @returns {Promise} Resolved when the fake transport is open.
+   */
+  async open() {
+    this.opened();
+  },
+
+  /**
+   * Close the fake transport, dropping messages about to be sent. The server-side sessions are
+   * kept, and can be claimed after reopening.
+   *
+   * @public
+   * @returns {Promise} Resolved when the fake transport is closed.
+   */
+  async close() {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.closed({});
+  },
+
+  /**
+   * @private
+   * @param {Object} msg
+   * @returns {(Object|undefined)} The synchronous reply to `msg`, without transaction
+   */
+  handleRequest(msg) {
+    if (!msg.janus) return this.error(msg, codes.MISSING_REQUEST, 'Missing request');
+    if (!msg.transaction) return this.error(msg, codes.MISSING_MANDATORY_ELEMENT, 'Missing mandatory element (transaction)');
+
+    switch (msg.janus) {
+      case 'info':
+        return {
+          janus: 'server_info',
+          name: 'Janus WebRTC Server (fake)',
+          plugins: Object.fromEntries(Object.keys(this.plugins).map((name) => [name, { name }])),
+        };
+      case 'create':
+        return this.createSession(msg);
+      case 'ping':
+        return { janus: 'pong' };
+      default:
+    }
+
+    const session = this.sessions[msg.session_id];
+    if (!session) return this.error(msg, codes.SESSION_NOT_FOUND, `No such session ${msg.session_id}`);
+
+    switch (msg.janus) {
+      case 'keepalive':
+        return { janus: 'ack', session_id: session.id };
+      case 'claim':
+        return { janus: 'success', session_id: session.id };
+      case 'destroy':
+        this.removeSession(session);
+        return { janus: 'success', session_id: session.id };
+      case 'attach':
+        return this.attach(session, msg);
+      case 'detach':
+      case 'message':
+      case 'trickle':
+      case 'hangup':
+        break;
+      default:
+        return this.error(msg, codes.UNKNOWN_REQUEST, `Unknown request '${msg.janus}'`);
+    }
+
+    const handle = session.handles[msg.handle_id];
+    if (!handle) return this.error(msg, codes.HANDLE_NOT_FOUND, `No such handle ${msg.handle_id} in session ${session.id}`);
+
+    switch (msg.janus) {
+      case 'detach':
+        this.removeHandle(handle);
+        // Janus also notifies about the detaching, after the reply.
+        queueMicrotask(() => handle.push({ janus: 'detached' }));
+        return { janus: 'success', session_id: session.id };
+      case 'message': {
+        const reply = this.message(handle, msg);
+        if (msg.jsep && reply.janus !== 'error') handle.webrtc = true;
+        return reply;
+      }
+      case 'trickle':
+        [].concat(msg.candidates || msg.candidate)
+          .forEach((candidate) => this.callPlugin(handle, 'trickle', candidate, handle));
+        return { janus: 'ack', session_id: session.id };
+      default: // hangup
+        if (handle.webrtc) queueMicrotask(() => this.hangupHandle(handle.id, 'Janus API'));
+        return { janus: 'success', session_id: session.id };
+    }
+  },
+
+  /**
+   * @private
+   * @param {Object} msg
+   * @returns {Object}
+   */
+  createSession(msg) {
+    const id = msg.id || this.nextId();
+    if (this.sessions[id]) return this.error(msg, codes.SESSION_CONFLICT, `Session ID ${id} already in use`);
+    this.sessions[id] = { id, handles: {} };
+    return { janus: 'success', data: { id } };
+  },
+
+  /**
+   * @private
+   * @param {Object} session
+   */
+  removeSession(session) {
+    Object.values(session.handles).forEach((handle) => this.removeHandle(handle));
+    delete this.sessions[session.id];
+  },
+
+  /**
+   * @private
+   * @param {Object} session
+   * @param {Object} msg
+   * @returns {Object}
+   */
+  attach(session, msg) {
+    const handler = this.plugins[msg.plugin];
+    if (!handler) return this.error(msg, codes.PLUGIN_NOT_FOUND, `No such plugin '${msg.plugin}'`);
+
+    const id = this.nextId();
+    const handle = {
+      id,
+      sessionId: session.id,
+      plugin: msg.plugin,
+      opaqueId: msg.opaque_id,
+      webrtc: false,
+      state: {},
+      push: (pushed) => this.deliver({ ...pushed, session_id: session.id, sender: id }),
+      event: (data, jsep, transaction) => handle.push({
+        janus: 'event',
+        ...(transaction && { transaction }),
+        plugindata: { plugin: msg.plugin, data },
+        ...(jsep && { jsep }),
+      }),
+    };
+    const { handles } = session;
+    handles[id] = handle;
+
+    try {
+      this.callPlugin(handle, 'attach', handle);
+    } catch (err) {
+      delete handles[id];
+      return this.error(msg, codes.PLUGIN_ATTACH, err.message);
+    }
+    return { janus: 'success', session_id: session.id, data: { id } };
+  },
+
+  /**
+   * @private
+   * @param {FakeJanus~Handle} handle
+   */
+  removeHandle(handle) {
+    const session = this.sessions[handle.sessionId];
+    if (!session || !session.handles[handle.id]) return;
+    const { handles } = session;
+    delete handles[handle.id];
+    this.callPlugin(handle, 'detach', handle);
+  },
+
+  /**
+   * @private
+   * @param {FakeJanus~Handle} handle
+   * @param {Object} msg
+   * @returns {Object}
+   */
+  message(handle, msg) {
+    if (!msg.body) return this.error(msg, codes.MISSING_MANDATORY_ELEMENT, 'Missing mandatory element (body)');
+    if (msg.jsep && !['offer', 'answer'].includes(msg.jsep.type)) {
+      return this.error(msg, codes.JSEP_UNKNOWN_TYPE, `JSEP error: unknown message type '${msg.jsep.type}'`);
+    }
+
+    const request = {
+      body: msg.body,
+      jsep: msg.jsep,
+      transaction: msg.transaction,
+      // Deferred, so that an answer given right away follows the `ack`.
+      respond: (data, jsep) => queueMicrotask(() => handle.event(data, jsep, msg.transaction)),
+    };
+
+    let data;
+    try {
+      data = this.callPlugin(handle, 'message', request, handle);
+    } catch (err) {
+      return this.error(msg, codes.PLUGIN_MESSAGE, err.message);
+    }
+
+    if (data === undefined) return { janus: 'ack', session_id: msg.session_id };
+    return {
+      janus: 'success',
+      session_id: msg.session_id,
+      sender: handle.id,
+      plugindata: { plugin: handle.plugin, data },
+    };
+  },
+
+  /**
+   * @private
+   * @param {FakeJanus~Handle} handle
+   * @param {String} method - Name of the method of the plugin handler
+   * @param {...*} args
+   * @returns {*} The return value of the method, `undefined` if not implemented
+   */
+  callPlugin(handle, method, ...args) {
+    const handler = this.plugins[handle.plugin];
+    if (!handler || !handler[method]) return undefined;
+    return handler[method](...args);
+  },
+
+  /**
+   * @private
+   * @param {Object} msg - The failed request
+   * @param {Integer} code - See {@link JanusError.codes}
+   * @param {String} reason
+   * @returns {Object}
+   */
+  error(msg, code, reason) {
+    return {
+      janus: 'error',
+      ...(msg.session_id && { session_id: msg.session_id }),
+      error: { code, reason },
+    };
+  },
+
+  /**
+   * @private
+   * @returns {Integer}
+   */
+  nextId() {
+    const id = this.next_id;
+    this.next_id += 1;
+    return id;
+  },
+
+  /**
+   * Send a message to the session, after `latencyMs`.
+   *
+   * @private
+   * @param {Object} msg
+   */
+  deliver(msg) {
+    const timer = setTimeout(() => {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      this.logger.debug('FakeJanus sending', msg);
+      this.received(msg);
+    }, this.latencyMs);
+    this.timers.push(timer);
+  },
+
+  /**
+   * @private
+   * @param {(Integer|String)} handleId
+   * @returns {FakeJanus~Handle}
+   */
+  requireHandle(handleId) {
+    const handle = this.getHandle(handleId);
+    if (!handle) throw new Error(`No handle with ID ${handleId}`);
+    return handle;
+  },
+};
+
+/**
+ * @constructs FakeJanus
+ * @extends BaseTransport
+ *
+ * @classdesc
+ *
+ * An in-process fake of the Janus core, for testing applications without a Janus server. It is
+ * connected to a {@link Session} (or a {@link SessionMultiplexer}) in place of a transport, and
+ * implements `create`, `destroy`, `claim`, `keepalive`, `attach`, `detach`, `message`,
+ * `trickle`, `hangup` and `info` with the `ack`, `success`, `error` and pushed messages of Janus.
+ *
+ * The server-side plugins are faked by handlers registered with {@link FakeJanus#registerPlugin}.
+ * Server-initiated messages can be scripted with {@link FakeJanus#pushEvent},
+ * {@link FakeJanus#hangupHandle}, {@link FakeJanus#detachHandle} and
+ * {@link FakeJanus#timeoutSession}.
+ *
+ * @example
+ * const janus = FakeJanus({
+ *   plugins: {
+ *     'janus.plugin.echotest': {
+ *       message({ jsep, respond }) {
+ *         respond({ echotest: 'event', result: 'ok' }, jsep && { type: 'answer', sdp: '...' });
+ *       },
+ *     },
+ *   },
+ * });
+ * const session = Session();
+ * await janus.connect(session);
+ * await session.create();
+ *
+ * @param {Object} [options={}]
+ * @param {Object} [options.plugins={}] - {@link FakeJanus~PluginHandler}s by plugin name
+ * @param {Integer} [options.latencyMs=0] - Delay of every message sent by the fake Janus
+ * @param {Object} [options.logger] - See {@link BaseTransport}
+ * @return {FakeJanus}
+ */
+function init({ plugins = {}, latencyMs = 0 } = {}) {
+  this.latencyMs = latencyMs;
+  Object.entries(plugins).forEach(([name, handler]) => this.registerPlugin(name, handler));
+}
+
+export default BaseTransport.compose({
+  properties,
+  deepProperties,
+  methods,
+  initializers: [init],
+});
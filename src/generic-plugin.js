@@ -0,0 +1,81 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+
+/**
+ * @lends GenericPlugin.prototype
+ */
+const methods = {
+  /**
+   * Emit messages of the server-side plugin as they are.
+   *
+   * @protected
+   * @override
+   * @emits GenericPlugin#plugin_data
+   */
+  onPluginData(data, jsep, msg) {
+    /**
+     * A message of the server-side plugin.
+     * @event GenericPlugin#plugin_data
+     * @type {Object}
+     * @property {Object} data - `plugindata.data` of the message
+     * @property {Object} [jsep] - JSEP carried by the message, if any
+     * @property {Object} msg - The whole message from Janus
+     */
+    this.emit('plugin_data', { data, jsep, msg });
+  },
+};
+
+/**
+ * @param {Object} options
+ * @param {String} options.name - Name of the server-side plugin, e.g. `janus.plugin.echotest`
+ */
+function init({ name } = {}) {
+  if (!name) throw new Error('GenericPlugin requires a plugin name');
+  this.name = name;
+}
+
+/**
+ * @constructs GenericPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Handle for any server-side plugin, for which no client is registered (see
+ * {@link module:plugin-registry}). Requests are sent with the methods of {@link BasePlugin}, e.g.
+ * {@link BasePlugin#sendRequest}, and messages of the plugin are emitted as
+ * {@link GenericPlugin#event:plugin_data}.
+ *
+ * @example
+ * const plugin = GenericPlugin({ name: 'janus.plugin.echotest' });
+ * plugin.on('plugin_data', ({ data, jsep }) => console.log(data, jsep));
+ * await session.attachPlugin(plugin);
+ */
+export default BasePluginStamp.compose({
+  methods,
+  initializers: [init],
+});
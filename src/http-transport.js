@@ -0,0 +1,300 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BaseTransport from './base-transport.js';
+import { JanusError } from './errors.js';
+
+/**
+ * @lends HttpTransport
+ */
+const properties = {
+  /**
+   * Base URL of the REST interface of Janus, e.g. `http://localhost:8088/janus`
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  url: null,
+
+  /**
+   * Maximum number of events which Janus returns in one reply to a long-poll request.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  maxev: 10,
+
+  /**
+   * Milliseconds to wait before retrying a failed long-poll request.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  retryMs: 1000,
+
+  /**
+   * Is the transport open?
+   * @member {Boolean}
+   * @instance
+   * @readonly
+   */
+  isOpen: false,
+};
+
+/**
+ * @lends HttpTransport
+ */
+const deepProperties = {
+  // Session ID => AbortController of the running long-poll loop
+  polls: {},
+  // Session ID => `token` and `apisecret` of the latest POST of the session, also when the sessions
+  // share this transport through a SessionMultiplexer
+  credentials: {},
+};
+
+/**
+ * @lends HttpTransport.prototype
+ */
+const methods = {
+  /**
+   * Check that the REST interface of Janus is reachable by requesting `GET <url>/info`.
+   *
+   * @public
+   * @override
+   * @emits BaseTransport#open
+   * @returns {Promise} Resolved when Janus replied. Rejected otherwise.
+   */
+  async open() {
+    this.logger.debug(`Opening HTTP transport to ${this.url}`);
+    await this.request(`${this.url}/info`);
+    this.isOpen = true;
+    this.logger.info(`HTTP transport to ${this.url} open.`);
+    this.opened();
+  },
+
+  /**
+   * Stop all long-poll loops.
+   *
+   * The details of {@link BaseTransport#event:close} are `{ requested: true }`.
+   *
+   * @public
+   * @override
+   * @returns {Promise}
+   */
+  async close() {
+    this.logger.debug('close()');
+    Object.keys(this.polls).forEach((sessionId) => this.stopPolling(sessionId));
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.closed({ requested: true });
+  },
+
+  /**
+   * POST a message to the URL which Janus expects for it:
+   *
+   * - `<url>` for messages without `session_id`
+   * - `<url>/<session_id>` for messages to a session
+   * - `<url>/<session_id>/<handle_id>` for messages to a plugin handle
+   *
+   * The synchronous reply of Janus is emitted as {@link BaseTransport#event:message}. When a
+   * session has been created, a long-poll loop is started for its events, which are emitted the
+   * same way. The loop ends when the session is destroyed.
+   *
+   * @public
+   * @override
+   * @param {Object} msg - Should be JSON-serializable.
+   */
+  async send(msg) {
+    const { session_id: sessionId, handle_id: handleId, ...body } = msg;
+
+    let { url } = this;
+    if (sessionId) url += `/${sessionId}`;
+    if (sessionId && handleId) url += `/${handleId}`;
+
+    let reply;
+    try {
+      reply = await this.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      this.logger.error(`POST to ${url} failed`, err);
+      this.failed(err);
+      // Fail the transaction right away, as Janus does for errors of its transports.
+      this.received({
+        janus: 'error',
+        session_id: sessionId,
+        transaction: msg.transaction,
+        error: { code: JanusError.codes.TRANSPORT_SPECIFIC, reason: err.message },
+      });
+      return;
+    }
+
+    const credentials = { token: body.token, apisecret: body.apisecret };
+    if (msg.janus === 'create' && reply.janus === 'success') this.startPolling(reply.data.id, credentials);
+    else if (this.polls[sessionId]) this.credentials[sessionId] = credentials;
+    if (msg.janus === 'destroy') this.stopPolling(sessionId);
+
+    this.received(reply);
+  },
+
+  /**
+   * @private
+   * @param {String} url
+   * @param {Object} [options] - Passed on to `fetch()`
+   * @returns {Promise} Resolves to the parsed JSON reply of Janus.
+   */
+  async request(url, options) {
+    const { fetch } = this; // browsers require `fetch` to be called unbound
+    const response = await fetch(url, options);
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+    return response.json();
+  },
+
+  /**
+   * @private
+   * @param {String|Number} sessionId
+   * @param {Object} credentials - `token` and `apisecret` of the session
+   */
+  startPolling(sessionId, credentials) {
+    if (this.polls[sessionId]) return;
+    this.logger.debug(`Starting long-poll loop for session ${sessionId}`);
+    const controller = new AbortController();
+    this.polls[sessionId] = controller;
+    this.credentials[sessionId] = credentials;
+    this.poll(sessionId, controller.signal);
+  },
+
+  /**
+   * @private
+   * @param {String|Number} sessionId
+   */
+  stopPolling(sessionId) {
+    const controller = this.polls[sessionId];
+    if (!controller) return;
+    this.logger.debug(`Stopping long-poll loop for session ${sessionId}`);
+    delete this.polls[sessionId];
+    delete this.credentials[sessionId];
+    controller.abort();
+  },
+
+  /**
+   * The long-poll loop.
+   *
+   * @private
+   * @param {String|Number} sessionId
+   * @param {AbortSignal} signal
+   */
+  async poll(sessionId, signal) {
+    if (signal.aborted) return;
+
+    let url = `${this.url}/${sessionId}?rid=${Date.now()}&maxev=${this.maxev}`;
+    // Unlike POSTs, long-poll requests carry the credentials in the query string.
+    const { token, apisecret } = this.credentials[sessionId] || {};
+    if (token) url += `&token=${encodeURIComponent(token)}`;
+    if (apisecret) url += `&apisecret=${encodeURIComponent(apisecret)}`;
+    let reply;
+    try {
+      reply = await this.request(url, { signal });
+    } catch (err) {
+      if (signal.aborted) return;
+      this.logger.error(`Long-poll request to ${url} failed`, err);
+      this.failed(err);
+      setTimeout(() => this.poll(sessionId, signal), this.retryMs);
+      return;
+    }
+
+    if (signal.aborted) return;
+
+    // With maxev > 1, Janus replies with an array of events.
+    const messages = Array.isArray(reply) ? reply : [reply];
+    messages.forEach((msg) => {
+      // Janus replies with `keepalive` when no event happened during its long-poll timeout.
+      if (msg.janus === 'keepalive') return;
+      // One message which cannot be handled must not end the loop for the messages after it.
+      try {
+        this.received(msg);
+      } catch (err) {
+        this.logger.error('Handling a message from a long-poll request failed', msg, err);
+      }
+    });
+
+    if (messages.some((msg) => msg.janus === 'error' && msg.error.code === JanusError.codes.SESSION_NOT_FOUND)) {
+      this.logger.warn(`Session ${sessionId} not found. Stopping long-poll loop.`);
+      this.stopPolling(sessionId);
+      return;
+    }
+
+    this.poll(sessionId, signal);
+  },
+};
+
+/**
+ * @constructs HttpTransport
+ * @mixes BaseTransport
+ *
+ * @classdesc
+ *
+ * Transport between a {@link Session} and the REST interface of Janus, for environments where
+ * WebSockets are not available. Requests are POSTed, and events are received by long-polling.
+ *
+ * @example
+ * const session = Session();
+ * const transport = HttpTransport({ url: 'http://localhost:8088/janus' });
+ * await transport.connect(session);
+ * await session.create();
+ *
+ * @param {Object} options
+ * @param {String} options.url - Base URL of the REST interface of Janus
+ * @param {Integer} [options.maxev=10] - Maximum number of events per long-poll reply
+ * @param {Integer} [options.retryMs=1000] - Delay before retrying a failed long-poll request
+ * @param {Function} [options.fetch=globalThis.fetch] - `fetch()` implementation
+ * @param {Object} [options.logger] - See {@link BaseTransport}
+ * @return {HttpTransport}
+ */
+function init({
+  url,
+  maxev = 10,
+  retryMs = 1000,
+  fetch = globalThis.fetch,
+} = {}) {
+  if (!url) throw new Error('HttpTransport requires a URL');
+  if (!fetch) throw new Error('No fetch implementation available. Pass one in as `options.fetch`.');
+
+  this.url = url.replace(/\/+$/, '');
+  this.maxev = maxev;
+  this.retryMs = retryMs;
+  this.fetch = fetch;
+}
+
+export default BaseTransport.compose({
+  properties,
+  deepProperties,
+  methods,
+  initializers: [init],
+});
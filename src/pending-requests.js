@@ -0,0 +1,118 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Bookkeeping of requests waiting for a reply, shared by the signalling transactions of
+ * {@link Session} and the data channel transactions of {@link TextRoomPlugin}.
+ *
+ * The requests are kept in a plain object by identifier. Each entry has the properties `resolve`,
+ * `reject`, `payload` (the request), `timeoutMs` and `timeout`, plus the extra properties given to
+ * {@link module:pending-requests~addPending}.
+ *
+ * @module pending-requests
+ */
+
+import { TimeoutError, abortReason } from './errors.js';
+
+/**
+ * Forget a pending request without settling it.
+ *
+ * @param {Object} pending - Pending requests by identifier
+ * @param {String} id
+ * @returns {(Object|undefined)} The entry of the request, to be settled by the caller
+ */
+function takePending(pending, id) {
+  const entry = pending[id];
+  if (!entry) return undefined;
+  clearTimeout(entry.timeout);
+  Reflect.deleteProperty(pending, id);
+  return entry;
+}
+
+/**
+ * (Re)start the timer after which a pending request is rejected with a {@link TimeoutError}.
+ *
+ * @param {Object} pending - Pending requests by identifier
+ * @param {String} id
+ */
+function restartPendingTimeout(pending, id) {
+  const entry = pending[id];
+  clearTimeout(entry.timeout);
+  entry.timeout = setTimeout(() => {
+    takePending(pending, id);
+    entry.reject(new TimeoutError(entry.payload, entry.timeoutMs));
+  }, entry.timeoutMs);
+}
+
+/**
+ * Add a request waiting for a reply.
+ *
+ * @param {Object} pending - Pending requests by identifier
+ * @param {String} id
+ * @param {Object} payload - The request
+ * @param {Object} options
+ * @param {Integer} options.timeoutMs - Reject with a {@link TimeoutError} after this time
+ * @param {AbortSignal} [options.signal] - Reject with its abort reason when aborted
+ * @param {...*} [options.extra] - Further properties of the entry
+ * @returns {Promise} Settled by the caller via {@link module:pending-requests~takePending}
+ */
+function addPending(pending, id, payload, { timeoutMs, signal, ...extra }) {
+  const promise = new Promise((resolve, reject) => {
+    Object.assign(pending, {
+      [id]: {
+        ...extra, resolve, reject, payload, timeoutMs, timeout: null,
+      },
+    });
+  });
+  restartPendingTimeout(pending, id);
+
+  if (signal) {
+    const onAbort = () => {
+      const entry = takePending(pending, id);
+      if (entry) entry.reject(abortReason(signal, payload));
+    };
+    const removeListener = () => signal.removeEventListener('abort', onAbort);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(removeListener, removeListener);
+  }
+
+  return promise;
+}
+
+/**
+ * Reject and forget all pending requests.
+ *
+ * @param {Object} pending - Pending requests by identifier
+ * @param {Function} createError - Called with the request of each entry. Returns the error to
+ * reject with.
+ */
+function rejectAllPending(pending, createError) {
+  Object.keys(pending).forEach((id) => {
+    const entry = takePending(pending, id);
+    entry.reject(createError(entry.payload));
+  });
+}
+
+export {
+  addPending, takePending, restartPendingTimeout, rejectAllPending,
+};
@@ -0,0 +1,80 @@
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * Registry mapping names of server-side plugins of Janus (e.g. `janus.plugin.videoroom`) to the
+ * stamps of their clients. Its `getPlugin` can be given to a {@link Session} as
+ * `options.getPlugin`, for {@link Session#attach}.
+ *
+ * The registry starts out empty, so that it does not pull in any client. The clients of the plugins
+ * shipped with Janus are registered by importing {@link module:builtin-plugins}. Applications and
+ * third parties can register their own:
+ *
+ * @example
+ * import { registerPlugin, getPlugin } from 'minnie-janus/src/plugin-registry.js';
+ *
+ * registerPlugin('janus.plugin.echotest', EchotestPlugin);
+ * const session = Session({ getPlugin });
+ * const echotest = await session.attach('janus.plugin.echotest');
+ *
+ * @module plugin-registry
+ */
+
+/**
+ * @private
+ * @type {Map<String, Function>}
+ */
+const registry = new Map();
+
+/**
+ * Register the client of a server-side plugin, replacing any client registered before under the
+ * same name.
+ *
+ * @param {String} name - Name of the server-side plugin, e.g. `janus.plugin.videoroom`
+ * @param {Function} stamp - Factory of plugin instances, usually a stamp composed from
+ * {@link BasePlugin}. Called with the options given to {@link Session#attach}.
+ */
+export function registerPlugin(name, stamp) {
+  registry.set(name, stamp);
+}
+
+/**
+ * @param {String} name - Name of the server-side plugin
+ * @returns {Boolean} Whether a client had been registered
+ */
+export function unregisterPlugin(name) {
+  return registry.delete(name);
+}
+
+/**
+ * @param {String} name - Name of the server-side plugin
+ * @returns {Function|undefined} The registered client, if any
+ */
+export function getPlugin(name) {
+  return registry.get(name);
+}
+
+/**
+ * @returns {String[]} Names of all server-side plugins with a registered client
+ */
+export function registeredPlugins() {
+  return [...registry.keys()];
+}
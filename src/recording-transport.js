@@ -0,0 +1,211 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BaseTransport from './base-transport.js';
+
+/**
+ * @lends RecordingTransport
+ */
+const properties = {
+  /**
+   * The wrapped transport which actually talks to Janus.
+   * @member {BaseTransport}
+   * @instance
+   * @readonly
+   */
+  transport: null,
+
+  /**
+   * Receives every entry of the tape as a line of JSON, see {@link RecordingTransport}.
+   * @member {Object}
+   * @instance
+   * @readonly
+   */
+  output: null,
+};
+
+/**
+ * @lends RecordingTransport
+ */
+const deepProperties = {
+  /**
+   * The recorded conversation: Entries with the properties `incoming` (`true` for messages from
+   * Janus) and `payload` (the message), in the order they were sent and received.
+   * @member {Object[]}
+   * @instance
+   * @readonly
+   */
+  tape: [],
+};
+
+/**
+ * @lends RecordingTransport.prototype
+ */
+const methods = {
+  /**
+   * Connect the wrapped transport to this one. The recording transport plays the role of the
+   * session for the wrapped transport.
+   *
+   * @public
+   * @returns {Promise} Resolved when the wrapped transport is open.
+   */
+  async open() {
+    return this.transport.connect(this);
+  },
+
+  /**
+   * @public
+   * @returns {Promise} Resolved when the wrapped transport is closed.
+   */
+  async close() {
+    return this.transport.disconnect();
+  },
+
+  /**
+   * Record an outgoing message, then send it via the wrapped transport.
+   *
+   * @public
+   * @param {Object} msg
+   */
+  send(msg) {
+    this.record(false, msg);
+    /**
+     * An outgoing message, to be sent by the wrapped transport.
+     * @event RecordingTransport#output
+     * @type {Object}
+     */
+    this.emit('output', msg);
+  },
+
+  /**
+   * Record a message from Janus, then give it to the session. Called by the wrapped transport.
+   *
+   * @public
+   * @param {Object} msg
+   */
+  receive(msg) {
+    this.record(true, msg);
+    this.received(msg);
+  },
+
+  /**
+   * Called by the wrapped transport.
+   *
+   * @public
+   */
+  transportOpened() {
+    this.opened();
+  },
+
+  /**
+   * Called by the wrapped transport.
+   *
+   * @public
+   * @param {Object} [details]
+   */
+  transportClosed(details) {
+    this.closed(details);
+  },
+
+  /**
+   * Called by the wrapped transport.
+   *
+   * @public
+   * @param {Error} err
+   */
+  transportFailed(err) {
+    this.failed(err);
+  },
+
+  /**
+   * Pass the loss of the connection on to the wrapped transport, which may reconnect.
+   *
+   * @protected
+   * @override
+   * @param {Error} err
+   */
+  connectionLost(err) {
+    /**
+     * @event RecordingTransport#connection_lost
+     * @type {Error}
+     */
+    this.emit('connection_lost', err);
+  },
+
+  /**
+   * @private
+   * @param {Boolean} incoming
+   * @param {Object} msg
+   */
+  record(incoming, msg) {
+    // A copy, as it went over the wire.
+    const entry = { incoming, payload: JSON.parse(JSON.stringify(msg)) };
+    this.tape.push(entry);
+    if (this.output) this.output.write(`${JSON.stringify(entry)}\n`);
+  },
+};
+
+/**
+ * @constructs RecordingTransport
+ * @extends BaseTransport
+ *
+ * @classdesc
+ *
+ * Records the conversation between a session and Janus, for replaying it later with
+ * {@link ReplayTransport}. Wraps the transport which actually talks to Janus.
+ *
+ * The tape is available as {@link RecordingTransport#tape}. With `options.output`, every entry is
+ * also written as one line of JSON as soon as it is recorded, e.g. to a file stream in Node.js.
+ *
+ * @example
+ * import fs from 'fs';
+ *
+ * const transport = RecordingTransport({
+ *   transport: WebSocketTransport({ url: 'ws://localhost:8188', WebSocket }),
+ *   output: fs.createWriteStream('session.tape'),
+ * });
+ * await transport.connect(session);
+ *
+ * @param {Object} options
+ * @param {BaseTransport} options.transport - The transport to record
+ * @param {Object} [options.output] - Anything with a `write(string)` method, e.g. a Node.js
+ * writable stream
+ * @param {Object} [options.logger] - See {@link BaseTransport}
+ * @return {RecordingTransport}
+ */
+function init({ transport, output = null } = {}) {
+  if (!transport) throw new Error('RecordingTransport requires a transport to record');
+  this.transport = transport;
+  this.output = output;
+}
+
+export default BaseTransport.compose({
+  properties,
+  deepProperties,
+  methods,
+  initializers: [init],
+});
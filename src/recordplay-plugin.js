@@ -0,0 +1,189 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * @lends RecordPlayPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.recordplay',
+
+  /**
+   * ID of the recording being recorded or played by this handle. `null` if none.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  recording: null,
+
+  /**
+   * The last status reported by the plugin, e.g. `recording`, `preparing`, `playing`, `stopped`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  status: null,
+};
+
+/**
+ * @lends RecordPlayPlugin.prototype
+ */
+const methods = {
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The available recordings
+   */
+  async list() {
+    const { list } = await this.sendRequest({ request: 'list' });
+    return list;
+  },
+
+  /**
+   * Make the plugin rescan the folder of recordings.
+   *
+   * @public
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async update() {
+    return this.sendRequest({ request: 'update' });
+  },
+
+  /**
+   * Start recording.
+   *
+   * @public
+   * @param {String} name - Name of the recording
+   * @param {Object} jsep - The JSEP offer
+   * @param {Object} [params={}] - E.g. `id`, `filename`, `audiocodec`, `videocodec`
+   * @returns {Promise} Response from Janus, carrying the JSEP answer
+   */
+  async record(name, jsep, params = {}) {
+    return this.sendMessage({ ...params, request: 'record', name }, jsep);
+  },
+
+  /**
+   * Ask to play a recording. The JSEP offer of Janus arrives as
+   * {@link RecordPlayPlugin#event:status} `preparing`.
+   *
+   * @public
+   * @param {Number} id - ID of the recording
+   * @param {Object} [params={}] - E.g. `restart`
+   * @returns {Promise} Response from Janus
+   */
+  async play(id, params = {}) {
+    return this.sendMessage({ ...params, request: 'play', id });
+  },
+
+  /**
+   * Start playing.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of Janus
+   * @returns {Promise} Response from Janus
+   */
+  async start(jsep) {
+    return this.sendMessage({ request: 'start' }, jsep);
+  },
+
+  /**
+   * Stop recording or playing.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async stop() {
+    return this.sendMessage({ request: 'stop' });
+  },
+
+  /**
+   * Decode asynchronous messages of the RecordPlay plugin into events.
+   *
+   * @protected
+   * @override
+   * @emits RecordPlayPlugin#status
+   * @emits RecordPlayPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event RecordPlayPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    const { result = {} } = data;
+    if (!result.status) return;
+
+    this.status = result.status;
+    if (result.id !== undefined) this.recording = result.id;
+    if (['stopped', 'done'].includes(result.status)) this.recording = null;
+
+    /**
+     * The status of recording or playing changed.
+     * @event RecordPlayPlugin#status
+     * @type {Object}
+     * @property {String} status - E.g. `recording`, `preparing`, `playing`, `stopped`, `done`
+     * @property {Number} [id] - ID of the recording
+     * @property {Object} [jsep] - The JSEP answer (when recording) or offer (when preparing to
+     * play) of Janus, if any
+     */
+    this.emit('status', { status: result.status, id: result.id, jsep });
+  },
+};
+
+/**
+ * @constructs RecordPlayPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the Record&Play plugin of Janus (`janus.plugin.recordplay`), which records
+ * WebRTC media and plays recordings back.
+ *
+ * @example
+ * recordPlayPlugin.on('status', async ({ status, jsep }) => {
+ *   if (status !== 'preparing') return;
+ *   await peerConnection.setRemoteDescription(jsep);
+ *   const answer = await peerConnection.createAnswer();
+ *   await peerConnection.setLocalDescription(answer);
+ *   await recordPlayPlugin.start(answer);
+ * });
+ * await recordPlayPlugin.play(1234);
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/recordplay.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  methods,
+});
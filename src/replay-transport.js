@@ -0,0 +1,346 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BaseTransport from './base-transport.js';
+
+/**
+ * @private
+ * @param {(Object[]|String)} tape - Entries, or their JSON: an array, or one entry per line as
+ * written by {@link RecordingTransport}
+ * @returns {Object[]} Entries
+ */
+function parseTape(tape) {
+  if (typeof tape !== 'string') return tape;
+  if (tape.trim().startsWith('[')) return JSON.parse(tape);
+  return tape.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+}
+
+/**
+ * Drop outgoing messages of the types in `skipRequests` and the `ack` of Janus to each of them.
+ * Other entries with the same transaction, e.g. of another session counting transactions too, stay.
+ *
+ * @private
+ * @param {Object[]} entries
+ * @param {String[]} skipRequests
+ * @returns {Object[]} The remaining entries
+ */
+function withoutSkipped(entries, skipRequests) {
+  const skipped = [];
+  return entries.filter(({ incoming, payload }) => {
+    if (!incoming) {
+      if (!skipRequests.includes(payload.janus)) return true;
+      skipped.push(payload);
+      return false;
+    }
+    const index = skipped.findIndex(({ transaction, session_id: sessionId }) => payload.janus === 'ack'
+      && payload.transaction === transaction && payload.session_id === sessionId);
+    if (index === -1) return true;
+    skipped.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Find where `actual` differs from `expected`, ignoring properties named in `ignoreKeys` at any
+ * depth.
+ *
+ * @private
+ * @param {*} expected
+ * @param {*} actual
+ * @param {String[]} ignoreKeys
+ * @param {String} [path='']
+ * @returns {Object[]} Differences with the properties `path`, `expected` and `actual`
+ */
+function compare(expected, actual, ignoreKeys, path = '') {
+  const isObject = (value) => typeof value === 'object' && value !== null;
+  const comparable = isObject(expected) && isObject(actual)
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!comparable) {
+    return expected === actual ? [] : [{ path, expected, actual }];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys]
+    .filter((key) => !ignoreKeys.includes(key))
+    .flatMap((key) => {
+      const keyPath = Array.isArray(expected) ? `${path}[${key}]` : `${path}${path ? '.' : ''}${key}`;
+      return compare(expected[key], actual[key], ignoreKeys, keyPath);
+    });
+}
+
+/**
+ * @lends ReplayTransport
+ */
+const properties = {
+  /**
+   * Index of the next entry of the tape to be replayed.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  position: 0,
+
+  /**
+   * Delay of every replayed message from Janus, in milliseconds.
+   * @member {Integer}
+   * @instance
+   */
+  latencyMs: 0,
+};
+
+/**
+ * @lends ReplayTransport
+ */
+const deepProperties = {
+  /**
+   * The entries to replay, see {@link RecordingTransport#tape}.
+   * @member {Object[]}
+   * @instance
+   * @readonly
+   */
+  tape: [],
+
+  /**
+   * Properties which are ignored when matching outgoing messages against the tape.
+   * @member {String[]}
+   * @instance
+   * @readonly
+   */
+  ignoreKeys: [],
+
+  /**
+   * Types of outgoing messages which depend on timing, and are acknowledged instead of replayed.
+   * @member {String[]}
+   * @instance
+   * @readonly
+   */
+  skipRequests: [],
+
+  /**
+   * Outgoing messages which did not match the tape, see {@link ReplayTransport#event:diverged}.
+   * @member {Object[]}
+   * @instance
+   * @readonly
+   */
+  divergences: [],
+
+  /**
+   * Transaction IDs of the session by recorded transaction ID.
+   * @private
+   */
+  transactions: {},
+
+  /**
+   * Pending timers of messages about to be replayed.
+   * @private
+   */
+  timers: [],
+};
+
+/**
+ * @lends ReplayTransport.prototype
+ */
+const methods = {
+  /**
+   * Open the fake transport, and replay the messages from Janus recorded before the first
+   * outgoing message.
+   *
+   * @public
+   * @returns {Promise} Resolved when the fake transport is open.
+   */
+  async open() {
+    this.opened();
+    this.replayIncoming();
+  },
+
+  /**
+   * Close the fake transport, dropping messages about to be replayed.
+   *
+   * @public
+   * @returns {Promise} Resolved when the fake transport is closed.
+   */
+  async close() {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.closed({});
+  },
+
+  /**
+   * Match an outgoing message against the next outgoing message on the tape. If they match, the
+   * recorded messages from Janus up to the next outgoing message are replayed. Otherwise, the
+   * message is reported as a divergence and not answered.
+   *
+   * @public
+   * @param {Object} msg
+   * @emits ReplayTransport#diverged
+   */
+  send(msg) {
+    if (this.skipRequests.includes(msg.janus)) {
+      this.deliver({ janus: 'ack', session_id: msg.session_id, transaction: msg.transaction });
+      return;
+    }
+
+    const entry = this.tape[this.position];
+    const expected = entry ? entry.payload : undefined;
+    const differences = compare(expected, msg, this.ignoreKeys);
+    if (differences.length > 0) {
+      const divergence = {
+        position: this.position, expected, actual: msg, differences,
+      };
+      this.logger.warn(`Outgoing message diverges from the tape at position ${this.position}`, divergence);
+      this.divergences.push(divergence);
+      /**
+       * An outgoing message did not match the tape. It is not answered, and the tape stays at the
+       * same position, so that the replay continues when the expected message is sent.
+       *
+       * @event ReplayTransport#diverged
+       * @type {Object}
+       * @property {Integer} position - Index of the expected entry of the tape
+       * @property {Object} [expected] - The expected message, `undefined` at the end of the tape
+       * @property {Object} actual - The outgoing message
+       * @property {Object[]} differences - The properties `path`, `expected` and `actual` of each
+       * difference
+       */
+      this.emit('diverged', divergence);
+      return;
+    }
+
+    if (expected.transaction) this.transactions[expected.transaction] = msg.transaction;
+    this.position += 1;
+    this.replayIncoming();
+  },
+
+  /**
+   * @public
+   * @returns {Object} The progress of the replay, with the properties `finished` (`true` if the
+   * whole tape has been replayed), `position`, `length` of the tape, `remaining` entries and
+   * `divergences` (see {@link ReplayTransport#event:diverged})
+   */
+  report() {
+    return {
+      finished: this.position >= this.tape.length,
+      position: this.position,
+      length: this.tape.length,
+      remaining: this.tape.slice(this.position),
+      divergences: this.divergences,
+    };
+  },
+
+  /**
+   * Replay the messages from Janus up to the next outgoing message on the tape, with the
+   * transaction IDs of the session.
+   *
+   * @private
+   * @emits ReplayTransport#finished
+   */
+  replayIncoming() {
+    while (this.position < this.tape.length && this.tape[this.position].incoming) {
+      const { payload } = this.tape[this.position];
+      const transaction = this.transactions[payload.transaction];
+      this.deliver(transaction ? { ...payload, transaction } : payload);
+      this.position += 1;
+    }
+
+    if (this.position === this.tape.length) {
+      /**
+       * The whole tape has been replayed.
+       * @event ReplayTransport#finished
+       */
+      this.emit('finished');
+    }
+  },
+
+  /**
+   * @private
+   * @param {Object} msg
+   */
+  deliver(msg) {
+    const timer = setTimeout(() => {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      this.received(msg);
+    }, this.latencyMs);
+    this.timers.push(timer);
+  },
+};
+
+/**
+ * @constructs ReplayTransport
+ * @extends BaseTransport
+ *
+ * @classdesc
+ *
+ * Replays a conversation with Janus, recorded with {@link RecordingTransport}, to a session
+ * without a Janus server. It is connected to the session in place of the recorded transport.
+ *
+ * The outgoing messages of the session are matched against the tape, ignoring the properties
+ * named in `options.ignoreKeys`. Each match replays the messages which Janus sent in response, in
+ * the recorded order. Messages which don't match are reported, see
+ * {@link ReplayTransport#report}.
+ *
+ * The timing of keepalives differs between recording and replay. They are therefore removed from
+ * the tape along with their replies, and acknowledged when sent.
+ *
+ * @example
+ * import fs from 'fs';
+ *
+ * const transport = ReplayTransport({ tape: fs.readFileSync('session.tape', 'utf8') });
+ * transport.on('diverged', (divergence) => console.log(divergence.differences));
+ * await transport.connect(session);
+ *
+ * @param {Object} options
+ * @param {(Object[]|String)} options.tape - The entries of {@link RecordingTransport#tape}, or
+ * their JSON: an array, or one entry per line as written to `options.output` of
+ * {@link RecordingTransport}
+ * @param {String[]} [options.ignoreKeys=['transaction', 'session_id', 'handle_id']] - Properties
+ * to ignore when matching, at any depth
+ * @param {String[]} [options.skipRequests=['keepalive']] - Types of outgoing messages to
+ * acknowledge instead of replay
+ * @param {Integer} [options.latencyMs=0] - Delay of every replayed message from Janus
+ * @param {Object} [options.logger] - See {@link BaseTransport}
+ * @return {ReplayTransport}
+ */
+function init({
+  tape,
+  ignoreKeys = ['transaction', 'session_id', 'handle_id'],
+  skipRequests = ['keepalive'],
+  latencyMs = 0,
+} = {}) {
+  if (!tape) throw new Error('ReplayTransport requires a tape');
+
+  this.tape = withoutSkipped(parseTape(tape), skipRequests);
+
+  this.ignoreKeys = ignoreKeys;
+  this.skipRequests = skipRequests;
+  this.latencyMs = latencyMs;
+}
+
+export default BaseTransport.compose({
+  properties,
+  deepProperties,
+  methods,
+  initializers: [init],
+});
@@ -0,0 +1,251 @@
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import stampit from '@stamp/it';
+import EventEmitter from '@michaelfranzl/captain-hook';
+
+/**
+ * @lends SessionMultiplexer
+ */
+const properties = {
+  /**
+   * Is the transport open? Mirrors {@link Session#connected} of the added sessions.
+   * @member {Boolean}
+   * @instance
+   * @readonly
+   */
+  connected: false,
+};
+
+/**
+ * @lends SessionMultiplexer
+ */
+const deepProperties = {
+  /**
+   * The added sessions.
+   * @member {Session[]}
+   * @instance
+   * @readonly
+   */
+  sessions: [],
+
+  /**
+   * Sessions waiting for a reply to a message without `session_id` (e.g. `create`), by
+   * transaction.
+   * @private
+   */
+  routes: {},
+};
+
+/**
+ * @lends SessionMultiplexer.prototype
+ */
+const methods = {
+  /**
+   * Share the connection with `session`. Use the `transactionId` option `uuid` or `random` for
+   * all sessions sharing a connection.
+   *
+   * @public
+   * @param {Session} session - An instance of {@link Session}
+   * @returns {Session} `session`
+   */
+  add(session) {
+    if (this.sessions.includes(session)) return session;
+    this.sessions.push(session);
+
+    session.on('output', (msg) => this.output(session, msg), { tag: this.tag });
+    session.on('connection_lost', (err) => {
+      /**
+       * One of the sessions considers the shared connection to Janus lost.
+       * @event SessionMultiplexer#connection_lost
+       * @type {Error}
+       */
+      this.emit('connection_lost', err);
+    }, { tag: this.tag });
+
+    if (this.connected) session.transportOpened();
+    return session;
+  },
+
+  /**
+   * Stop sharing the connection with `session`.
+   *
+   * @public
+   * @param {Session} session
+   */
+  remove(session) {
+    const index = this.sessions.indexOf(session);
+    if (index === -1) return;
+    this.sessions.splice(index, 1);
+    session.off('output', this.tag);
+    session.off('connection_lost', this.tag);
+    Object.entries(this.routes).forEach(([transaction, routed]) => {
+      if (routed === session) delete this.routes[transaction];
+    });
+  },
+
+  /**
+   * @private
+   * @param {Session} session - The sender of `msg`
+   * @param {Object} msg - Outgoing message
+   * @emits SessionMultiplexer#output
+   */
+  output(session, msg) {
+    this.pruneRoutes();
+    // Replies to messages with `session_id` carry it as well, and are routed by it.
+    if (!msg.session_id) {
+      const routed = this.routes[msg.transaction];
+      if (routed && routed !== session) {
+        this.logger.warn(`Transaction ${msg.transaction} is used by two sessions. Use unique transaction IDs.`);
+      }
+      this.routes[msg.transaction] = session;
+    }
+    /**
+     * An outgoing message of one of the sessions, to be sent by the transport.
+     * @event SessionMultiplexer#output
+     * @type {Object}
+     */
+    this.emit('output', msg);
+  },
+
+  /**
+   * Forget the routes of transactions which their session does not wait for anymore, e.g. because
+   * they timed out or were aborted.
+   *
+   * @private
+   */
+  pruneRoutes() {
+    Object.entries(this.routes).forEach(([transaction, routed]) => {
+      if (!routed.transactions[transaction]) delete this.routes[transaction];
+    });
+  },
+
+  /**
+   * Give a message from Janus to the session it belongs to: by its `session_id`, or else by its
+   * `transaction`. Transactions of different sessions may collide, session IDs do not.
+   *
+   * @public
+   * @param {Object} msg - Object parsed from server-side JSON
+   * @emits SessionMultiplexer#unrouted
+   */
+  receive(msg) {
+    let session;
+    if (msg.session_id) {
+      session = this.sessions.find(({ id }) => id === msg.session_id);
+    } else {
+      session = this.routes[msg.transaction];
+      delete this.routes[msg.transaction];
+    }
+
+    if (!session) {
+      this.logger.debug('No session for incoming message', msg);
+      /**
+       * A message from Janus which belongs to none of the sessions.
+       * @event SessionMultiplexer#unrouted
+       * @type {Object}
+       */
+      this.emit('unrouted', msg);
+      return;
+    }
+    session.receive(msg);
+  },
+
+  /**
+   * Notify all sessions that the transport opened. Called by the transport.
+   *
+   * @public
+   */
+  transportOpened() {
+    this.connected = true;
+    this.sessions.forEach((session) => session.transportOpened());
+  },
+
+  /**
+   * Notify all sessions that the transport closed. Called by the transport.
+   *
+   * @public
+   * @param {Object} [reason] - Transport-specific details about the closing
+   */
+  transportClosed(reason) {
+    this.connected = false;
+    if (!reason || !reason.reconnecting) this.routes = {};
+    this.sessions.forEach((session) => session.transportClosed(reason));
+  },
+
+  /**
+   * Notify all sessions that the transport failed. Called by the transport.
+   *
+   * @public
+   * @param {Error} err
+   */
+  transportFailed(err) {
+    this.sessions.forEach((session) => session.transportFailed(err));
+  },
+};
+
+Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
+
+let instanceCount = 0;
+
+/**
+ * @constructs SessionMultiplexer
+ * @mixes EventEmitter
+ *
+ * @classdesc
+ * Shares one transport (e.g. one WebSocket) between many sessions. The multiplexer is connected to
+ * the transport in place of a session, and routes incoming messages to the session they belong
+ * to.
+ *
+ * @example
+ * const mux = SessionMultiplexer();
+ * await WebSocketTransport({ url }).connect(mux);
+ * const session = mux.add(Session({ transactionId: 'uuid' }));
+ * await session.create();
+ *
+ * @param {Object} [options={}]
+ * @param {Object} [options.logger] - The logger to use
+ * @param {Function} [options.logger.info=function(){}]
+ * @param {Function} [options.logger.warn=function(){}]
+ * @param {Function} [options.logger.debug=function(){}]
+ * @param {Function} [options.logger.error=function(){}]
+ * @return {SessionMultiplexer}
+ */
+function init({
+  logger = {
+    info() {},
+    warn() {},
+    debug() {},
+    error() {},
+  },
+} = {}) {
+  this.logger = logger;
+
+  instanceCount += 1;
+  this.tag = `multiplexer-${instanceCount}`;
+}
+
+export default stampit({
+  properties, deepProperties, methods, init,
+});
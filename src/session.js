@@ -1,3 +1,5 @@
+/* eslint-disable import/extensions */
+
 /*
 minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
 
@@ -26,6 +28,31 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 
 import EventEmitter from '@michaelfranzl/captain-hook';
 
+import {
+  MinnieJanusError, JanusError, PluginError, TransportClosedError, SessionDestroyedError,
+  abortReason,
+} from './errors.js';
+import {
+  addPending, takePending, restartPendingTimeout, rejectAllPending,
+} from './pending-requests.js';
+import GenericPlugin from './generic-plugin.js';
+import withEventIterator from './event-iterator.js';
+
+/**
+ * Generators of transaction identifiers, by the name of the `transactionId` option of Session.
+ *
+ * @private
+ */
+const TRANSACTION_ID_GENERATORS = {
+  random() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  },
+  uuid() {
+    return globalThis.crypto.randomUUID();
+  },
+};
+
 /**
  * @lends Session
  */
@@ -38,8 +65,28 @@ const props = {
    */
   id: null,
 
+  /**
+   * Is the transport to Janus currently open? Maintained by {@link Session#transportOpened} and
+   * {@link Session#transportClosed}.
+   * @member {Boolean}
+   * @instance
+   * @readonly
+   */
+  connected: false,
+
+  /**
+   * The current token for the stored-token authentication of Janus, added to every outgoing
+   * message. See `options.token` of {@link Session}.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  token: null,
+
   next_transaction_id: 0,
   keepalive_timeout: null,
+  keepalive_misses: 0,
+  token_refresh: null,
 };
 
 /**
@@ -73,18 +120,15 @@ const methods = {
    * Detaches all attached plugins from the server instance, then destroys the session instance on
    * the server.
    *
+   * @emits Session#destroyed
    * @public
    * @returns {Promise} Response from Janus
    */
   async destroy() {
-    const pluginDetachPromises = Object.entries(this.plugins).map(([, plugin]) => {
-      this.logger.debug('Detaching plugin before destroying session', plugin.instance.name);
-      return plugin.instance.detach();
-    });
-    await Promise.all(pluginDetachPromises);
+    await this.detachAll();
 
     const response = await this.send({ janus: 'destroy' });
-    this.stopKeepalive();
+    this.teardown('destroy');
 
     Object.entries(this.plugins).forEach(([id, plugin]) => {
       this.logger.debug(`Removing reference to plugin ${plugin.instance.name} (${id})`);
@@ -95,16 +139,93 @@ const methods = {
     return response;
   },
 
+  /**
+   * @public
+   * @param {Number|String} id - ID of a plugin handle
+   * @returns {BasePlugin|undefined} The attached plugin handle with this ID, if any
+   */
+  getHandle(id) {
+    const plugin = this.plugins[id];
+    return plugin && plugin.instance.attached ? plugin.instance : undefined;
+  },
+
+  /**
+   * @public
+   * @param {Object} [filter={}]
+   * @param {String} [filter.name] - Only handles of this server-side plugin, e.g.
+   * `janus.plugin.videoroom`
+   * @param {String} [filter.opaqueId] - Only handles attached with this opaque ID
+   * @returns {BasePlugin[]} The attached plugin handles matching all given criteria
+   */
+  getHandles({ name, opaqueId } = {}) {
+    return Object.values(this.plugins)
+      .map(({ instance }) => instance)
+      .filter((instance) => instance.attached
+        && (name === undefined || instance.name === name)
+        && (opaqueId === undefined || instance.opaqueId === opaqueId));
+  },
+
+  /**
+   * Detach the attached plugin handle with this ID.
+   *
+   * @public
+   * @param {Number|String} id - ID of a plugin handle
+   * @returns {Promise} Response from Janus. Rejected if there is no such attached handle.
+   */
+  async detachHandle(id) {
+    const plugin = this.getHandle(id);
+    if (!plugin) throw new MinnieJanusError(`No attached plugin handle with ID ${id}`);
+    return plugin.detach();
+  },
+
+  /**
+   * Detach all attached plugin handles, or only those matching `filter`.
+   *
+   * @public
+   * @param {Object} [filter={}] - See {@link Session#getHandles}
+   * @returns {Promise} Resolved when all handles have been detached
+   */
+  async detachAll(filter = {}) {
+    await Promise.all(this.getHandles(filter).map((instance) => {
+      this.logger.debug(`Detaching plugin ${instance.name} (${instance.id})`);
+      return instance.detach();
+    }));
+  },
+
+  /**
+   * Create a handle for the server-side plugin `name` and attach it to this session.
+   *
+   * The handle is created by the client returned by `options.getPlugin` of this session (e.g. from
+   * {@link module:plugin-registry}), or is a {@link GenericPlugin} if there is none.
+   *
+   * @public
+   * @param {String} name - Name of the server-side plugin, e.g. `janus.plugin.videoroom`
+   * @param {Object} [options={}] - Given to the factory of the client. `logger` defaults to the
+   * logger of this session.
+   * @returns {Promise<BasePlugin>} The attached handle
+   */
+  async attach(name, options = {}) {
+    const Plugin = (this.options.getPlugin && this.options.getPlugin(name)) || GenericPlugin;
+    const response = await this.attachPlugin(Plugin, { ...options, name });
+    return this.getHandle(response.data.id);
+  },
+
   /**
    * Attaches a plugin instance to this session instance.
    *
    * @public
-   * @param {BasePlugin} plugin - An instance of an (extended) BasePlugin
+   * @param {(BasePlugin|Function)} stampOrPlugin - An instance of an (extended) BasePlugin, or a
+   * stamp creating one. The created instance can be looked up with {@link Session#getHandle}.
+   * @param {Object} [options={}] - Given to the stamp, if any. `logger` defaults to the logger of
+   * this session.
    * @emits Session#plugin_attached
    * @listens BasePlugin#detached
    * @returns {Promise} Response from Janus
    */
-  async attachPlugin(plugin) {
+  async attachPlugin(stampOrPlugin, options = {}) {
+    const plugin = typeof stampOrPlugin === 'function'
+      ? stampOrPlugin({ logger: this.logger, ...options })
+      : stampOrPlugin;
     this.logger.debug(`Attaching plugin ${plugin.name}`);
     const response = await plugin.attach(this);
 
@@ -151,23 +272,33 @@ const methods = {
 
       if (transaction) {
         // Special case:
-        // If the original outgoing message was sending JSEP data, then do not resolve the promise
-        // with this 'synchronous' acknowledgement, but with the JSEP answer coming later.
-        if (msg.janus === 'ack' && transaction.payload.jsep) return;
+        // If the original outgoing message was sending JSEP data, or asked for it, then do not
+        // resolve the promise with this 'synchronous' acknowledgement, but with the event coming
+        // later.
+        if (msg.janus === 'ack' && (transaction.payload.jsep || transaction.awaitEvent)) return;
 
         // Resolve or reject the Promise, then forget this transaction.
-        clearTimeout(transaction.timeout);
-        delete this.transactions[msg.transaction];
+        takePending(this.transactions, msg.transaction);
 
         if (msg.janus === 'error') {
           this.logger.debug(`Got error ${msg.error.code} from Janus. \
           Will reject promise.`, msg.error.reason);
-          transaction.reject(msg.error);
+          transaction.reject(new JanusError(msg, transaction.payload));
+          return;
+        }
+
+        if (msg.plugindata && msg.plugindata.data && msg.plugindata.data.error) {
+          this.logger.debug(`Got error from plugin ${msg.plugindata.plugin}. \
+          Will reject promise.`, msg.plugindata.data.error);
+          transaction.reject(new PluginError(msg, transaction.payload));
           return;
         }
 
         transaction.resolve(msg);
-        return;
+        // Plugins keep track of their state from their events, also from the ones answering
+        // messages with JSEP or awaiting an event.
+        const awaited = transaction.payload.jsep || transaction.awaitEvent;
+        if (!awaited || msg.janus !== 'event') return;
       }
     }
 
@@ -184,10 +315,79 @@ const methods = {
       const plugin = this.plugins[pluginId];
       if (!plugin) throw new Error(`Could not find plugin with ID ${pluginId}`);
       plugin.instance.receive(msg);
+      return;
+    }
+
+    // Without `sender` and `transaction`, this is a message concerning the whole session.
+    if (!msg.transaction) this.receiveSessionMessage(msg);
+  },
+
+  /**
+   * Handle an asynchronous ('pushed') message which concerns the whole session.
+   *
+   * @private
+   * @param {Object} msg - Object parsed from JSON sent by Janus
+   * @emits Session#timeout
+   * @emits Session#server_error
+   */
+  receiveSessionMessage(msg) {
+    if (msg.session_id && msg.session_id !== this.id) return;
+
+    switch (msg.janus) {
+      // Janus destroyed this session for lack of keepalives.
+      case 'timeout':
+        this.logger.error(`Session ${this.id} timed out on the server`);
+        /** @event Session#timeout */
+        this.emit('timeout');
+        this.teardown('timeout');
+        break;
+
+      // An error which does not belong to a transaction, e.g. reported by a transport of Janus.
+      case 'error': {
+        const err = new JanusError(msg);
+        this.logger.error('Janus reported an error', err);
+        /**
+         * @event Session#server_error
+         * @type {JanusError}
+         */
+        this.emit('server_error', err);
+        if (err.code === JanusError.codes.SESSION_NOT_FOUND) this.teardown('not_found');
+        break;
+      }
+
+      // If there is neither `sender` nor `transaction` property on the message, and we don't
+      // know it, we cannot do anything with it.
+      default:
+        this.logger.debug(`Ignoring message of unknown type '${msg.janus}'`);
     }
+  },
 
-    // If there is neither `sender` nor `transaction` property on the message, we cannot do anything
-    // with it.
+  /**
+   * Forget about the server-side session after it has been destroyed: Reject all messages still
+   * waiting for a reply with {@link SessionDestroyedError}, mark all plugins as detached, and stop
+   * sending keepalives.
+   *
+   * @private
+   * @param {String} reason - `destroy` if destroyed by {@link Session#destroy}, `timeout` if timed
+   * out by Janus, `not_found` if Janus reported that it does not know the session
+   * @emits Session#destroyed
+   */
+  teardown(reason) {
+    this.logger.info(`Session ${this.id} destroyed (${reason})`);
+    this.stopKeepalive();
+    this.rejectTransactions((payload) => new SessionDestroyedError(payload, reason));
+    Object.values(this.plugins).forEach(({ instance }) => instance.markDetached());
+    this.id = null;
+
+    /**
+     * The server-side session does not exist anymore.
+     *
+     * @event Session#destroyed
+     * @type {Object}
+     * @property {String} reason - `destroy` if destroyed by {@link Session#destroy}, `timeout` if
+     * timed out by Janus, `not_found` if Janus reported that it does not know the session
+     */
+    this.emit('destroyed', { reason });
   },
 
   /**
@@ -197,30 +397,62 @@ const methods = {
    * directly. Use {@link Session#sendKeepalive}, {@link Session#create} or {@link Session@destroy}
    * instead.
    *
+   * If a token provider is configured (see {@link Session}) and Janus rejects the message with
+   * error 403 (unauthorized), the token is refreshed and the message is sent once more.
+   *
    * @private
-   * @param {Object} msg - The message object to send. Properties `session_id` and `transaction`
-   * will be added automatically.
+   * @param {Object} msg - The message object to send. Properties `session_id`, `transaction`,
+   * and `token` and `apisecret` if configured, will be added automatically.
+   * @param {Object} [options={}]
+   * @param {Integer} [options.timeoutMs] - Overrides the `timeoutMs` option of the session for
+   * this message
+   * @param {AbortSignal} [options.signal] - When aborted, stop waiting for a response and reject
+   * with the abort reason of the signal
+   * @param {Boolean} [options.awaitEvent=false] - Skip the `ack` of Janus and wait for the event of
+   * the plugin with the same transaction, like for messages with `jsep`. The event is given to the
+   * plugin as well.
    * @see {@link https://janus.conf.meetecho.com/docs/rest.html}
    * @emits Session#output
-   * @returns {Promise} Response from Janus
+   * @returns {Promise} Response from Janus. Rejected with {@link JanusError}, {@link PluginError},
+   * {@link TimeoutError} or {@link TransportClosedError}.
    */
-  async send(msg) {
-    this.next_transaction_id += 1; // This could probably also be made into a UUID.
-    const transaction = this.next_transaction_id.toString();
+  async send(msg, options = {}) {
+    const hasTokenProvider = typeof this.options.token === 'function';
+    if (hasTokenProvider && this.token === null) await this.refreshToken();
+
+    try {
+      return await this.sendOnce(msg, options);
+    } catch (err) {
+      if (!hasTokenProvider || !(err instanceof JanusError)
+        || err.code !== JanusError.codes.UNAUTHORIZED) throw err;
+
+      this.logger.warn('Token rejected by Janus. Refreshing it and sending once more.');
+      await this.refreshToken();
+      return this.sendOnce(msg, options);
+    }
+  },
+
+  /**
+   * @private
+   * @param {Object} msg - See {@link Session#send}
+   * @param {Object} [options={}] - See {@link Session#send}
+   * @emits Session#output
+   * @returns {Promise} See {@link Session#send}
+   */
+  async sendOnce(msg, { timeoutMs = this.options.timeoutMs, signal, awaitEvent = false } = {}) {
+    if (signal && signal.aborted) throw abortReason(signal, msg);
+
+    const transaction = this.createTransactionId();
     const payload = { ...msg, transaction };
 
     // For the session create message we won't have an ID yet.
     if (this.id) payload.session_id = this.id;
+    // Messages may carry a token of their own, e.g. `add_token` of the Admin API.
+    if (this.token && payload.token === undefined) payload.token = this.token;
+    if (this.options.apisecret) payload.apisecret = this.options.apisecret;
 
-    const responsePromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        delete this.transactions[payload.transaction];
-        reject(new Error(`Signalling message timed out ${JSON.stringify(payload)}`));
-      }, this.options.timeoutMs);
-
-      this.transactions[transaction] = {
-        resolve, reject, timeout, payload,
-      };
+    const responsePromise = addPending(this.transactions, transaction, payload, {
+      timeoutMs, signal, awaitEvent,
     });
 
     this.logger.debug('Outgoing Janus message', payload);
@@ -238,24 +470,245 @@ const methods = {
   },
 
   /**
-   * Cleanup. Call this before unreferencing an instance.
+   * Get a new token from the token provider (see `options.token` of {@link Session}).
+   *
+   * Called automatically before the first message is sent, and when Janus rejects a message with
+   * error 403 (unauthorized). Concurrent calls share a single call of the token provider.
+   *
+   * @public
+   * @returns {Promise<String>} The new token. The current token if no token provider is
+   * configured.
+   */
+  async refreshToken() {
+    const provider = this.options.token;
+    if (typeof provider !== 'function') return this.token;
+
+    if (!this.token_refresh) {
+      const refresh = this.token !== null;
+      this.token_refresh = (async () => {
+        try {
+          this.token = await provider({ refresh });
+        } finally {
+          this.token_refresh = null;
+        }
+      })();
+    }
+    await this.token_refresh;
+    return this.token;
+  },
+
+  /**
+   * @protected
+   * @returns {String} A new transaction identifier, as configured by the `transactionId` option
+   */
+  createTransactionId() {
+    const { transactionId } = this.options;
+    if (typeof transactionId === 'function') return String(transactionId());
+    if (transactionId !== 'counter') return TRANSACTION_ID_GENERATORS[transactionId]();
+    this.next_transaction_id += 1;
+    return this.next_transaction_id.toString();
+  },
+
+  /**
+   * Reject and forget all transactions still waiting for a reply.
+   *
+   * @private
+   * @param {Function} createError - Called with the outgoing message of each transaction. Returns
+   * the error to reject with.
+   */
+  rejectTransactions(createError) {
+    rejectAllPending(this.transactions, createError);
+  },
+
+  /**
+   * Notify this session that the transport to Janus has been opened.
+   *
+   * If this session has already been created on the server, the transport has been re-opened
+   * after a loss of connection, and the session is reclaimed (see {@link Session#reclaim}).
+   *
+   * Meant to be called by a transport, e.g. {@link WebSocketTransport}.
+   *
+   * @public
+   * @emits Session#transport_open
+   */
+  transportOpened() {
+    this.logger.debug('transportOpened()');
+    this.connected = true;
+    this.keepalive_misses = 0;
+
+    /** @event Session#transport_open */
+    this.emit('transport_open');
+
+    if (this.id) this.reclaim();
+  },
+
+  /**
+   * Claim this session on the server over a new transport connection, then replay the messages
+   * still waiting for a response from Janus, which might have been lost with the old connection.
+   *
+   * Called by {@link Session#transportOpened}. You should have no need of calling this method
+   * directly.
+   *
+   * @private
+   * @emits Session#reconnected
+   * @emits Session#reclaim_failed
+   * @emits BasePlugin#reconnected
+   * @returns {Promise} Resolved when the session has been reclaimed, or reclaiming failed.
+   */
+  async reclaim() {
+    this.logger.info(`Reclaiming session ${this.id}`);
+    const pending = Object.keys(this.transactions);
+
+    try {
+      await this.send({ janus: 'claim' });
+    } catch (err) {
+      this.logger.error(`Could not reclaim session ${this.id}`, err);
+      /**
+       * @event Session#reclaim_failed
+       * @type {Object} The error response from Janus
+       */
+      this.emit('reclaim_failed', err);
+      return;
+    }
+
+    pending.forEach((transaction) => {
+      const entry = this.transactions[transaction];
+      if (!entry) return; // Has been answered or timed out in the meantime.
+      this.logger.debug('Replaying outgoing Janus message', entry.payload);
+      restartPendingTimeout(this.transactions, transaction);
+      this.emit('output', entry.payload);
+    });
+
+    Object.values(this.plugins)
+      .filter(({ instance }) => instance.attached)
+      .forEach(({ instance }) => instance.reconnected());
+
+    this.logger.info(`Session ${this.id} reclaimed.`);
+    /** @event Session#reconnected */
+    this.emit('reconnected');
+  },
+
+  /**
+   * Notify this session that the transport to Janus has been closed. No more keepalive messages
+   * will be sent.
+   *
+   * Unless the transport is reconnecting, all messages still waiting for a reply are rejected with
+   * {@link TransportClosedError}.
+   *
+   * Meant to be called by a transport, e.g. {@link WebSocketTransport}.
+   *
+   * @public
+   * @param {Object} [reason] - Transport-specific details about the closing
+   * @emits Session#transport_close
+   */
+  transportClosed(reason) {
+    this.logger.debug('transportClosed()', reason);
+    this.connected = false;
+    this.stopKeepalive();
+
+    if (!reason || !reason.reconnecting) {
+      this.rejectTransactions((payload) => new TransportClosedError(payload, reason));
+    }
+
+    /**
+     * @event Session#transport_close
+     * @type {Object} Transport-specific details about the closing
+     */
+    this.emit('transport_close', reason);
+  },
+
+  /**
+   * Notify this session that the transport to Janus has failed.
+   *
+   * Meant to be called by a transport, e.g. {@link WebSocketTransport}.
+   *
+   * @public
+   * @param {Error} err
+   * @emits Session#transport_error
+   */
+  transportFailed(err) {
+    this.logger.error('Transport failed', err);
+
+    /**
+     * @event Session#transport_error
+     * @type {Error}
+     */
+    this.emit('transport_error', err);
+  },
+
+  /**
+   * Cleanup. Call this before unreferencing an instance. Also drops the references to detached
+   * plugins, which are otherwise kept for a bit (see {@link Session#attachPlugin}).
    *
    * @public
    */
   stop() {
     this.logger.debug('stop()');
     this.stopKeepalive();
+    Object.entries(this.plugins).forEach(([id, plugin]) => {
+      if (!plugin.timeout_cleanup) return;
+      clearTimeout(plugin.timeout_cleanup);
+      delete this.plugins[id];
+    });
   },
 
   /**
+   * Send a keepalive message, and count it as missed if it fails.
+   *
+   * After `options.keepaliveMaxMisses` consecutive misses, the connection to Janus is considered
+   * lost and keepalive messages are no longer sent until the next outgoing message. If Janus does
+   * not know this session anymore, it is torn down instead, see
+   * {@link Session#event:destroyed}.
+   *
    * @private
+   * @emits Session#keepalive_timeout
+   * @emits Session#connection_lost
+   * @emits Session#destroyed
+   * @returns {Promise} Resolved when the keepalive has been answered or counted as missed.
    */
-  sendKeepalive() {
+  async sendKeepalive() {
+    if (!this.id) return;
+
     try {
-      this.send({ janus: 'keepalive' });
+      await this.send({ janus: 'keepalive' });
+      this.keepalive_misses = 0;
+      return;
     } catch (err) {
-      this.logger.error('Keepalive timed out');
-      this.emit('keepalive_timout');
+      // The session is gone on the server, reconnecting would not bring it back.
+      if (err instanceof JanusError && err.code === JanusError.codes.SESSION_NOT_FOUND) {
+        this.logger.error(`Session ${this.id} is unknown to Janus`, err);
+        this.keepalive_misses = 0;
+        this.teardown('not_found');
+        return;
+      }
+
+      this.keepalive_misses += 1;
+      this.logger.warn(`Keepalive missed (${this.keepalive_misses}/${this.options.keepaliveMaxMisses})`, err);
+
+      /**
+       * A keepalive message failed.
+       *
+       * @event Session#keepalive_timeout
+       * @type {Object}
+       * @property {Integer} misses - Number of consecutive misses
+       * @property {Error} error - The reason of the failure
+       */
+      this.emit('keepalive_timeout', { misses: this.keepalive_misses, error: err });
+
+      if (this.keepalive_misses < this.options.keepaliveMaxMisses) return;
+
+      this.logger.error('Connection to Janus lost');
+      this.keepalive_misses = 0;
+      this.stopKeepalive();
+
+      /**
+       * The connection to Janus is considered lost because of missed keepalives. A transport
+       * with reconnection enabled will reconnect.
+       *
+       * @event Session#connection_lost
+       * @type {Error} The reason of the last failure
+       */
+      this.emit('connection_lost', err);
     }
   },
 
@@ -272,11 +725,12 @@ const methods = {
    */
   resetKeepalive() {
     this.stopKeepalive();
+    if (!this.options.keepaliveMs) return;
     this.keepalive_timeout = setTimeout(() => this.sendKeepalive(), this.options.keepaliveMs);
   },
 };
 
-Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
+Object.assign(methods, withEventIterator(EventEmitter({ emit_prop: 'emit' }), { end: 'destroyed' }));
 
 /**
  * @constructs Session
@@ -290,6 +744,8 @@ Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
  * - Send and receive session-specific messages using timeouts and Promises.
  * - Keepalive management.
  * - Scoped logging events
+ * - Events can be consumed with `for await` via `events()`, see {@link module:event-iterator}.
+ *   The iteration ends after `destroyed`.
  *
  * See `/demo/index.js` for usage.
  *
@@ -297,6 +753,21 @@ Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
  * @param {Integer} [options.timeoutMs] The maximum number of milliseconds to wait before giving up
  * on a response from Janus.
  * @param {Integer} [options.keepaliveMs] The interval in milliseconds between keepalive messages.
+ * `0` disables keepalive messages.
+ * @param {Integer} [options.keepaliveMaxMisses=3] The number of consecutive failed keepalive
+ * messages after which the connection to Janus is considered lost.
+ * @param {(String|Function)} [options.token] - Token for the stored-token authentication of Janus.
+ * Either a static token, or a token provider function which is called with `{ refresh }` and
+ * returns a token or a Promise of a token. `refresh` is `true` when the previous token has been
+ * rejected by Janus.
+ * @param {String} [options.apisecret] - API secret, if required by Janus
+ * @param {(String|Function)} [options.transactionId='counter'] - How transaction identifiers are
+ * generated: `counter` counts up from 1 for each session, `random` and `uuid` are unique across
+ * sessions, e.g. for sessions sharing one connection (see {@link SessionMultiplexer}). A function
+ * is called for each new identifier.
+ * @param {Function} [options.getPlugin] - Called by {@link Session#attach} with the name of a
+ * server-side plugin, returns the stamp of its client, if any. E.g. `getPlugin` of
+ * {@link module:plugin-registry}.
  * @param {Object} [options.logger] - The logger to use
  * @param {Function} [options.logger.info=function(){}]
  * @param {Function} [options.logger.warn=function(){}]
@@ -307,6 +778,11 @@ Object.assign(methods, EventEmitter({ emit_prop: 'emit' }));
 function init({
   timeoutMs = 5000,
   keepaliveMs = 50000,
+  keepaliveMaxMisses = 3,
+  token,
+  apisecret,
+  transactionId = 'counter',
+  getPlugin,
   logger = {
     info() {},
     warn() {},
@@ -317,6 +793,17 @@ function init({
   this.logger = logger;
   this.options.timeoutMs = timeoutMs;
   this.options.keepaliveMs = keepaliveMs;
+  this.options.keepaliveMaxMisses = keepaliveMaxMisses;
+  this.options.token = token;
+  this.options.apisecret = apisecret;
+  if (typeof token === 'string') this.token = token;
+
+  if (typeof transactionId !== 'function' && transactionId !== 'counter'
+    && !TRANSACTION_ID_GENERATORS[transactionId]) {
+    throw new Error(`Unknown transactionId option '${transactionId}'`);
+  }
+  this.options.transactionId = transactionId;
+  this.options.getPlugin = getPlugin;
 }
 
 export {
@@ -0,0 +1,418 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * The registration state entered on each registration event of the SIP plugin.
+ *
+ * @private
+ */
+const REGISTRATION_TRANSITIONS = {
+  registering: 'registering',
+  registered: 'registered',
+  registration_failed: 'failed',
+  unregistering: 'unregistering',
+  unregistered: 'unregistered',
+};
+
+/**
+ * The call state entered on each call event of the SIP plugin. Events not listed here leave the
+ * call state unchanged.
+ *
+ * @private
+ */
+const CALL_TRANSITIONS = {
+  calling: 'calling',
+  ringing: 'ringing',
+  proceeding: 'ringing',
+  progress: 'early_media',
+  incomingcall: 'incoming',
+  accepting: 'accepting',
+  accepted: 'in_call',
+  holding: 'on_hold',
+  resuming: 'in_call',
+  declining: 'hangingup',
+  hangingup: 'hangingup',
+  hangup: 'idle',
+};
+
+/**
+ * Names of events of the SIP plugin which are emitted under another name, to be snake_case and
+ * to not collide with events of {@link BasePlugin}.
+ *
+ * @private
+ */
+const EVENT_NAMES = {
+  incomingcall: 'incoming_call',
+  updatingcall: 'updating_call',
+  messagedelivery: 'message_delivery',
+  hangup: 'call_hangup',
+};
+
+/**
+ * @lends SipPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.sip',
+
+  /**
+   * One of `unregistered`, `registering`, `registered`, `failed`, `unregistering`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  registration: 'unregistered',
+
+  /**
+   * The SIP URI registered by this handle. `null` if not registered.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  username: null,
+
+  /**
+   * ID to pass to {@link SipPlugin#registerHelper} of other handles, to add helper lines to the
+   * registration of this handle. `null` if not registered.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  masterId: null,
+
+  /**
+   * One of `idle`, `calling`, `ringing`, `early_media`, `incoming`, `accepting`, `in_call`,
+   * `on_hold`, `hangingup`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  callState: 'idle',
+
+  /**
+   * The SIP Call-ID of the current call. `null` if `idle`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  callId: null,
+
+  /**
+   * The SIP URI of the other party of the current call. `null` if `idle`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  peer: null,
+};
+
+/**
+ * @lends SipPlugin.prototype
+ */
+const methods = {
+  /**
+   * Register at a SIP server.
+   *
+   * The outcome arrives as {@link SipPlugin#event:registration_state}.
+   *
+   * @public
+   * @param {String} username - SIP URI, e.g. `sip:alice@example.com`
+   * @param {Object} [params={}] - E.g. `secret`, `ha1_secret`, `authuser`, `display_name`,
+   * `proxy`, `outbound_proxy`, `register_ttl`, `headers`, or `type: 'guest'`
+   * @returns {Promise} Response from Janus
+   */
+  async register(username, params = {}) {
+    return this.sendMessage({ ...params, request: 'register', username });
+  },
+
+  /**
+   * Register this handle as helper line of the registration of another handle, so that it can
+   * take additional calls at the same time.
+   *
+   * @public
+   * @param {Number} masterId - {@link SipPlugin#masterId} of the registered handle
+   * @param {Object} [params={}] - E.g. `username`, `display_name`
+   * @returns {Promise} Response from Janus
+   */
+  async registerHelper(masterId, params = {}) {
+    return this.sendMessage({
+      ...params, request: 'register', type: 'helper', master_id: masterId,
+    });
+  },
+
+  /**
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async unregister() {
+    return this.sendMessage({ request: 'unregister' });
+  },
+
+  /**
+   * Call a SIP URI.
+   *
+   * @public
+   * @param {String} uri - SIP URI of the callee
+   * @param {Object} jsep - The JSEP offer
+   * @param {Object} [params={}] - E.g. `headers`, `srtp`, `autoaccept_reinvites`
+   * @returns {Promise} Response from Janus
+   */
+  async call(uri, jsep, params = {}) {
+    return this.sendMessage({ ...params, request: 'call', uri }, jsep);
+  },
+
+  /**
+   * Accept an incoming call.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of the incoming call, or an offer if the
+   * incoming call came without one
+   * @param {Object} [params={}] - E.g. `headers`, `srtp`, `autoaccept_reinvites`
+   * @returns {Promise} Response from Janus
+   */
+  async accept(jsep, params = {}) {
+    return this.sendMessage({ ...params, request: 'accept' }, jsep);
+  },
+
+  /**
+   * Decline an incoming call.
+   *
+   * @public
+   * @param {Object} [params={}] - E.g. `code` (SIP response code, default 486), `headers`
+   * @returns {Promise} Response from Janus
+   */
+  async decline(params = {}) {
+    return this.sendMessage({ ...params, request: 'decline' });
+  },
+
+  /**
+   * Put the current call on hold.
+   *
+   * @public
+   * @param {String} [direction] - One of `sendonly` (default of the plugin), `recvonly`,
+   * `inactive`
+   * @returns {Promise} Response from Janus
+   */
+  async hold(direction) {
+    const body = { request: 'hold' };
+    if (direction) body.direction = direction;
+    return this.sendMessage(body);
+  },
+
+  /**
+   * Resume the current call from hold.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async unhold() {
+    return this.sendMessage({ request: 'unhold' });
+  },
+
+  /**
+   * Send a DTMF tone with a SIP INFO request.
+   *
+   * @public
+   * @param {String} digit
+   * @param {Integer} [duration] - In milliseconds
+   * @returns {Promise} Response from Janus
+   */
+  async dtmfInfo(digit, duration) {
+    const body = { request: 'dtmf_info', digit };
+    if (duration !== undefined) body.duration = duration;
+    return this.sendMessage(body);
+  },
+
+  /**
+   * Transfer the current call.
+   *
+   * @public
+   * @param {String} uri - SIP URI to transfer to
+   * @param {String} [replace] - Call-ID of the call to replace, for an attended transfer
+   * @returns {Promise} Response from Janus
+   */
+  async transfer(uri, replace) {
+    const body = { request: 'transfer', uri };
+    if (replace) body.replace = replace;
+    return this.sendMessage(body);
+  },
+
+  /**
+   * Hang up the current SIP call. The SIP plugin closes the PeerConnection of the call as well.
+   * Not to be confused with {@link BasePlugin#hangup}, which closes the PeerConnection only.
+   *
+   * @public
+   * @param {Object} [params={}] - E.g. `headers`
+   * @returns {Promise} Response from Janus
+   */
+  async hangupCall(params = {}) {
+    return this.sendMessage({ ...params, request: 'hangup' });
+  },
+
+  /**
+   * Start or stop recording the current call.
+   *
+   * @public
+   * @param {String} action - `start` or `stop`
+   * @param {Object} [params={}] - E.g. `audio`, `video`, `peer_audio`, `peer_video`, `filename`
+   * @returns {Promise} Response from Janus
+   */
+  async recording(action, params = {}) {
+    return this.sendMessage({ ...params, request: 'recording', action });
+  },
+
+  /**
+   * @private
+   * @param {String} state - The new registration state
+   * @param {Object} result - The event of the plugin causing the transition
+   * @emits SipPlugin#registration_state
+   */
+  setRegistration(state, result) {
+    if (state === 'registered') {
+      this.username = result.username;
+      if (result.master_id !== undefined) this.masterId = result.master_id;
+    } else if (state !== 'registering') {
+      this.username = null;
+      this.masterId = null;
+    }
+
+    const previous = this.registration;
+    this.registration = state;
+    /**
+     * The registration state changed.
+     * @event SipPlugin#registration_state
+     * @type {Object}
+     * @property {String} state - See {@link SipPlugin#registration}
+     * @property {String} previous - The registration state before
+     * @property {Object} result - The event of the plugin, e.g. with `code` and `reason` of a
+     * failed registration
+     */
+    this.emit('registration_state', { state, previous, result });
+  },
+
+  /**
+   * @private
+   * @param {String} state - The new call state
+   * @param {Object} result - The event of the plugin causing the transition
+   * @param {Object} [jsep]
+   * @emits SipPlugin#call_state
+   */
+  setCallState(state, result, jsep) {
+    if (state === 'idle') {
+      this.callId = null;
+      this.peer = null;
+    } else {
+      if (result.call_id) this.callId = result.call_id;
+      if (result.username) this.peer = result.username;
+    }
+
+    const previous = this.callState;
+    this.callState = state;
+    /**
+     * The call state changed.
+     * @event SipPlugin#call_state
+     * @type {Object}
+     * @property {String} state - See {@link SipPlugin#callState}
+     * @property {String} previous - The call state before
+     * @property {Object} result - The event of the plugin
+     * @property {Object} [jsep] - JSEP offer or answer carried by the event
+     */
+    this.emit('call_state', {
+      state, previous, result, jsep,
+    });
+  },
+
+  /**
+   * Drive the registration and call state machines from the events of the SIP plugin, and emit
+   * each event of the plugin by its name, e.g. `ringing`, `incoming_call`, `accepted`,
+   * `call_hangup`, `info`, `message`, `transfer`.
+   *
+   * @protected
+   * @override
+   * @emits SipPlugin#registration_state
+   * @emits SipPlugin#call_state
+   * @emits SipPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event SipPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    const { result } = data;
+    if (!result || !result.event) return;
+
+    const registration = REGISTRATION_TRANSITIONS[result.event];
+    if (registration) this.setRegistration(registration, result);
+
+    const callState = CALL_TRANSITIONS[result.event];
+    if (callState) this.setCallState(callState, result, jsep);
+
+    this.emit(EVENT_NAMES[result.event] || result.event, { ...result, jsep });
+  },
+};
+
+/**
+ * @constructs SipPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the SIP plugin of Janus (`janus.plugin.sip`), a gateway to SIP servers.
+ *
+ * The state of the registration and of the current call is tracked in
+ * {@link SipPlugin#registration} and {@link SipPlugin#callState}, and each transition is emitted
+ * as {@link SipPlugin#event:registration_state} and {@link SipPlugin#event:call_state}. Additional
+ * lines for concurrent calls are registered with {@link SipPlugin#registerHelper} on other
+ * handles.
+ *
+ * @example
+ * sipPlugin.on('call_state', async ({ state, jsep }) => {
+ *   if (state === 'incoming') {
+ *     await peerConnection.setRemoteDescription(jsep);
+ *     const answer = await peerConnection.createAnswer();
+ *     await peerConnection.setLocalDescription(answer);
+ *     await sipPlugin.accept(answer);
+ *   }
+ * });
+ * await sipPlugin.register('sip:alice@example.com', { secret: 'secret' });
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/sipsip.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  methods,
+});
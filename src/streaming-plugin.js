@@ -0,0 +1,344 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * @lends StreamingPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.streaming',
+
+  /**
+   * ID of the mountpoint watched by this handle. `null` if not watching.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  mountpoint: null,
+
+  /**
+   * The last status reported by the plugin, e.g. `preparing`, `starting`, `started`, `stopped`.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  status: null,
+};
+
+/**
+ * @lends StreamingPlugin.prototype
+ */
+const methods = {
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The public mountpoints
+   */
+  async list() {
+    const { list } = await this.sendRequest({ request: 'list' });
+    return list;
+  },
+
+  /**
+   * @public
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `secret`, to get more details
+   * @returns {Promise<Object>} Details about the mountpoint
+   */
+  async info(id, params = {}) {
+    const { info } = await this.sendRequest({ ...params, request: 'info', id });
+    return info;
+  },
+
+  /**
+   * Create a mountpoint.
+   *
+   * See also the shortcuts {@link StreamingPlugin#createRtp}, {@link StreamingPlugin#createRtsp}
+   * and {@link StreamingPlugin#createFile}.
+   *
+   * @public
+   * @param {String} type - `rtp`, `rtsp`, `live` or `ondemand`
+   * @param {Object} [params={}] - See the documentation of the Streaming plugin, e.g. `id`,
+   * `name`, `description`, `secret`, `pin`, `is_private`, `permanent`, `media`
+   * @returns {Promise<Object>} The created mountpoint, with `id`
+   */
+  async create(type, params = {}) {
+    const { stream } = await this.sendRequest({ ...params, request: 'create', type });
+    return stream;
+  },
+
+  /**
+   * Create a mountpoint which relays RTP sent to Janus.
+   *
+   * @public
+   * @param {Object} params - E.g. `media`, an array of streams, each with `type`, `mid` and `port`
+   * @returns {Promise<Object>} The created mountpoint, with `id` and the ports
+   */
+  async createRtp(params) {
+    return this.create('rtp', params);
+  },
+
+  /**
+   * Create a mountpoint which relays an RTSP source.
+   *
+   * @public
+   * @param {String} url - URL of the RTSP source
+   * @param {Object} [params={}] - E.g. `rtsp_user`, `rtsp_pwd`, `media`
+   * @returns {Promise<Object>} The created mountpoint, with `id`
+   */
+  async createRtsp(url, params = {}) {
+    return this.create('rtsp', { ...params, url });
+  },
+
+  /**
+   * Create a mountpoint which streams a file on the server.
+   *
+   * @public
+   * @param {String} filename - Path of the file on the server
+   * @param {Object} [params={}]
+   * @param {Boolean} [params.live=false] - All viewers see the same position in the file. Otherwise
+   * each viewer watches the file from its beginning.
+   * @returns {Promise<Object>} The created mountpoint, with `id`
+   */
+  async createFile(filename, { live = false, ...params } = {}) {
+    return this.create(live ? 'live' : 'ondemand', { ...params, filename });
+  },
+
+  /**
+   * Destroy a mountpoint.
+   *
+   * @public
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `secret`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async destroy(id, params = {}) {
+    return this.sendRequest({ ...params, request: 'destroy', id });
+  },
+
+  /**
+   * Allow watching a mountpoint.
+   *
+   * @public
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async enable(id, params = {}) {
+    return this.sendRequest({ ...params, request: 'enable', id });
+  },
+
+  /**
+   * Disallow watching a mountpoint.
+   *
+   * @public
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `secret`, `stop_recording`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async disable(id, params = {}) {
+    return this.sendRequest({ ...params, request: 'disable', id });
+  },
+
+  /**
+   * Start or stop recording a mountpoint on the server.
+   *
+   * @public
+   * @param {String} action - `start` or `stop`
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `secret`, and the filenames of the streams to record
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async recording(action, id, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'recording', action, id,
+    });
+  },
+
+  /**
+   * Watch a mountpoint.
+   *
+   * Janus offers the media with a JSEP offer, which has to be answered with
+   * {@link StreamingPlugin#start}.
+   *
+   * @public
+   * @param {Number} id - ID of the mountpoint
+   * @param {Object} [params={}] - E.g. `pin`, `media`
+   * @returns {Promise<Object>} The JSEP offer of Janus. Rejected with a {@link PluginError} if the
+   * plugin refuses, or with a {@link TimeoutError} if no offer arrives in time.
+   */
+  async watch(id, params = {}) {
+    const { jsep } = await this.sendMessage(
+      { ...params, request: 'watch', id },
+      undefined,
+      { awaitEvent: true },
+    );
+    this.mountpoint = id;
+    return jsep;
+  },
+
+  /**
+   * Start receiving media.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of Janus
+   * @returns {Promise} Response from Janus
+   */
+  async start(jsep) {
+    return this.sendMessage({ request: 'start' }, jsep);
+  },
+
+  /**
+   * Pause receiving media.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async pause() {
+    return this.sendMessage({ request: 'pause' });
+  },
+
+  /**
+   * Stop receiving media.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async stop() {
+    return this.sendMessage({ request: 'stop' });
+  },
+
+  /**
+   * Switch to another mountpoint without renegotiation. The mountpoints must have the same
+   * media configuration.
+   *
+   * @public
+   * @param {Number} id - ID of the other mountpoint
+   * @returns {Promise} Response from Janus
+   */
+  async switch(id) {
+    return this.sendMessage({ request: 'switch', id });
+  },
+
+  /**
+   * Change which media is received.
+   *
+   * @public
+   * @param {Object} params - E.g. `streams`, each with `mid` and `send`, `substream` or `temporal`
+   * @returns {Promise} Response from Janus
+   */
+  async configure(params) {
+    return this.sendMessage({ ...params, request: 'configure' });
+  },
+
+  /**
+   * Decode asynchronous messages of the Streaming plugin into events.
+   *
+   * @protected
+   * @override
+   * @emits StreamingPlugin#status
+   * @emits StreamingPlugin#switched
+   * @emits StreamingPlugin#mountpoint_destroyed
+   * @emits StreamingPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event StreamingPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    if (data.streaming === 'destroyed') {
+      this.mountpoint = null;
+      /**
+       * The watched mountpoint has been destroyed.
+       * @event StreamingPlugin#mountpoint_destroyed
+       * @type {Object}
+       * @property {Number} id - ID of the mountpoint
+       */
+      this.emit('mountpoint_destroyed', { id: data.id });
+      return;
+    }
+
+    const { result = {} } = data;
+
+    if (result.status) {
+      this.status = result.status;
+      if (result.status === 'stopped') this.mountpoint = null;
+      /**
+       * The status of watching changed.
+       * @event StreamingPlugin#status
+       * @type {Object}
+       * @property {String} status - E.g. `preparing`, `starting`, `started`, `pausing`,
+       * `stopping`, `stopped`
+       * @property {Object} [jsep] - The JSEP offer of Janus, if any
+       */
+      this.emit('status', { status: result.status, jsep });
+    }
+
+    if (result.switched === 'ok') {
+      this.mountpoint = result.id;
+      /**
+       * Switched to another mountpoint.
+       * @event StreamingPlugin#switched
+       * @type {Object}
+       * @property {Number} id - ID of the mountpoint
+       */
+      this.emit('switched', { id: result.id });
+    }
+  },
+};
+
+/**
+ * @constructs StreamingPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the Streaming plugin of Janus (`janus.plugin.streaming`), which relays RTP, RTSP and
+ * file sources (mountpoints) to viewers.
+ *
+ * @example
+ * const offer = await streamingPlugin.watch(1);
+ * await peerConnection.setRemoteDescription(offer);
+ * const answer = await peerConnection.createAnswer();
+ * await peerConnection.setLocalDescription(answer);
+ * await streamingPlugin.start(answer);
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/streaming.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  methods,
+});
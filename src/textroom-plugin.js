@@ -0,0 +1,444 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import {
+  MinnieJanusError, PluginError, TransportClosedError, abortReason,
+} from './errors.js';
+import { addPending, takePending, rejectAllPending } from './pending-requests.js';
+
+/**
+ * @lends TextRoomPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.textroom',
+
+  /**
+   * The data channel used for TextRoom requests, see {@link TextRoomPlugin#useDataChannel}.
+   * @member {RTCDataChannel}
+   * @instance
+   * @readonly
+   */
+  data_channel: null,
+
+  /**
+   * Counter for the `transaction` of requests sent over the data channel.
+   * @private
+   */
+  next_transaction_id: 0,
+
+  /**
+   * @private
+   */
+  data_channel_listeners: null,
+};
+
+/**
+ * @lends TextRoomPlugin
+ */
+const deepProperties = {
+  /**
+   * Requests sent over the data channel which are waiting for a reply, by transaction.
+   * @private
+   */
+  data_transactions: {},
+};
+
+/**
+ * @lends TextRoomPlugin.prototype
+ */
+const methods = {
+  /**
+   * Ask the plugin to set up the PeerConnection carrying the data channel.
+   *
+   * @public
+   * @returns {Promise<Object>} The JSEP offer of Janus. Rejected with a {@link PluginError} or a
+   * {@link TimeoutError}.
+   */
+  async setup() {
+    const { jsep } = await this.sendMessage({ request: 'setup' }, undefined, { awaitEvent: true });
+    return jsep;
+  },
+
+
+  /**
+   * Complete the handshake started by {@link TextRoomPlugin#setup}.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of Janus
+   * @returns {Promise} Response from Janus
+   */
+  async ack(jsep) {
+    return this.sendMessage({ request: 'ack' }, jsep);
+  },
+
+  /**
+   * Use `channel` for all further TextRoom requests, and decode the messages arriving on it. Any
+   * previously used channel is released.
+   *
+   * @public
+   * @param {RTCDataChannel} channel - The data channel negotiated after {@link TextRoomPlugin#ack},
+   * or any object with `send()`, `addEventListener()` and `removeEventListener()`
+   */
+  useDataChannel(channel) {
+    this.releaseDataChannel();
+
+    const listeners = {
+      message: (event) => this.receiveData(event.data),
+      close: () => this.rejectDataTransactions({ reason: 'Data channel closed' }),
+    };
+    Object.entries(listeners).forEach(([type, fn]) => channel.addEventListener(type, fn));
+
+    this.data_channel = channel;
+    this.data_channel_listeners = listeners;
+  },
+
+  /**
+   * @private
+   */
+  releaseDataChannel() {
+    const channel = this.data_channel;
+    if (!channel) return;
+    Object.entries(this.data_channel_listeners)
+      .forEach(([type, fn]) => channel.removeEventListener(type, fn));
+    this.data_channel = null;
+    this.data_channel_listeners = null;
+  },
+
+  /**
+   * Send a TextRoom request over the data channel and wait for the reply with the same
+   * `transaction`, like {@link Session#send} does for signalling messages.
+   *
+   * @public
+   * @param {Object} msg - The request. `textroom` is mandatory, `transaction` will be added.
+   * @param {Object} [options={}]
+   * @param {Integer} [options.timeoutMs] - Defaults to the `timeoutMs` option of the session
+   * @param {AbortSignal} [options.signal] - Rejects the returned Promise when aborted
+   * @param {Boolean} [options.expectReply=true] - If `false`, resolves as soon as sent
+   * @returns {Promise<Object>} The reply of the plugin. Rejected with a {@link PluginError}, a
+   * {@link TimeoutError}, or a {@link TransportClosedError} if the data channel closes.
+   */
+  async sendData(msg, {
+    timeoutMs = this.session.options.timeoutMs, signal, expectReply = true,
+  } = {}) {
+    if (!this.data_channel) throw new MinnieJanusError('No data channel, see useDataChannel()', msg);
+    if (signal && signal.aborted) throw abortReason(signal, msg);
+
+    this.next_transaction_id += 1;
+    const transaction = this.next_transaction_id.toString();
+    const payload = { ...msg, transaction };
+
+    const responsePromise = expectReply
+      ? addPending(this.data_transactions, transaction, payload, { timeoutMs, signal })
+      : undefined;
+
+    this.logger.debug('Outgoing TextRoom message', payload);
+    try {
+      this.data_channel.send(JSON.stringify(payload));
+    } catch (err) {
+      // E.g. the data channel is not open. Nothing will wait for a reply then.
+      takePending(this.data_transactions, transaction);
+      throw err;
+    }
+    return responsePromise;
+  },
+
+  /**
+   * @private
+   * @param {Object} details - Given to each {@link TransportClosedError}
+   */
+  rejectDataTransactions(details) {
+    rejectAllPending(this.data_transactions, (payload) => (
+      new TransportClosedError(payload, details)
+    ));
+  },
+
+  /**
+   * Join a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {String} username - Unique in the room
+   * @param {Object} [params={}] - E.g. `display`, `pin`, `token`, `history`
+   * @returns {Promise<Object>} The reply of the plugin, containing `participants`
+   */
+  async join(room, username, params = {}) {
+    return this.sendData({
+      ...params, textroom: 'join', room, username,
+    });
+  },
+
+  /**
+   * Send a message to the room, or privately to some participants.
+   *
+   * @public
+   * @param {Number} room
+   * @param {String} text
+   * @param {Object} [params={}] - E.g. `to` or `tos` (usernames) for a private message. With
+   * `ack: false`, the plugin will not reply and the returned Promise resolves as soon as sent.
+   * @returns {Promise<Object>} The reply of the plugin
+   */
+  async message(room, text, params = {}) {
+    return this.sendData({
+      ...params, textroom: 'message', room, text,
+    }, { expectReply: params.ack !== false });
+  },
+
+  /**
+   * Send an announcement to the room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {String} text
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The reply of the plugin
+   */
+  async announcement(room, text, params = {}) {
+    return this.sendData({
+      ...params, textroom: 'announcement', room, text,
+    });
+  },
+
+  /**
+   * Leave a room.
+   *
+   * @public
+   * @param {Number} room
+   * @returns {Promise<Object>} The reply of the plugin
+   */
+  async leave(room) {
+    return this.sendData({ textroom: 'leave', room });
+  },
+
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The public rooms
+   */
+  async list() {
+    const { list } = await this.sendData({ textroom: 'list' });
+    return list;
+  },
+
+  /**
+   * Manage the list of usernames allowed to join a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {String} action - One of `enable`, `disable`, `add`, `remove`
+   * @param {String[]} [allowed] - Usernames for `add` and `remove`
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The reply of the plugin
+   */
+  async allowed(room, action, allowed, params = {}) {
+    const msg = {
+      ...params, textroom: 'allowed', room, action,
+    };
+    if (allowed) msg.allowed = allowed;
+    return this.sendData(msg);
+  },
+
+  /**
+   * Settle the request waiting for this reply, or decode a message pushed by the plugin into an
+   * event.
+   *
+   * @private
+   * @param {String} text - A message received on the data channel
+   * @emits TextRoomPlugin#message
+   * @emits TextRoomPlugin#announcement
+   * @emits TextRoomPlugin#participant_joined
+   * @emits TextRoomPlugin#participant_left
+   * @emits TextRoomPlugin#kicked
+   * @emits TextRoomPlugin#room_destroyed
+   */
+  receiveData(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      this.logger.warn('Ignoring TextRoom message which is no JSON', text);
+      return;
+    }
+    this.logger.debug('Incoming TextRoom message', data);
+
+    const entry = data.transaction && takePending(this.data_transactions, data.transaction);
+    if (entry) {
+      if (data.textroom === 'error') {
+        const response = { plugindata: { plugin: this.name, data } };
+        entry.reject(new PluginError(response, entry.payload));
+        return;
+      }
+      entry.resolve(data);
+      return;
+    }
+
+    switch (data.textroom) {
+      case 'message':
+        /**
+         * A message was sent to the room, or privately to this participant.
+         * @event TextRoomPlugin#message
+         * @type {Object}
+         * @property {Number} room
+         * @property {String} from - Username of the sender
+         * @property {String} date
+         * @property {String} text
+         * @property {Boolean} whisper - `true` if private
+         */
+        this.emit('message', {
+          room: data.room,
+          from: data.from,
+          date: data.date,
+          text: data.text,
+          whisper: !!data.whisper,
+        });
+        break;
+
+      case 'announcement':
+        /**
+         * An announcement was sent to the room.
+         * @event TextRoomPlugin#announcement
+         * @type {Object}
+         * @property {Number} room
+         * @property {String} date
+         * @property {String} text
+         */
+        this.emit('announcement', { room: data.room, date: data.date, text: data.text });
+        break;
+
+      case 'join':
+        /**
+         * A participant joined a room.
+         * @event TextRoomPlugin#participant_joined
+         * @type {Object}
+         * @property {Number} room
+         * @property {String} username
+         * @property {String} [display]
+         */
+        this.emit('participant_joined', {
+          room: data.room, username: data.username, display: data.display,
+        });
+        break;
+
+      case 'leave':
+        /**
+         * A participant left a room.
+         * @event TextRoomPlugin#participant_left
+         * @type {Object}
+         * @property {Number} room
+         * @property {String} username
+         */
+        this.emit('participant_left', { room: data.room, username: data.username });
+        break;
+
+      case 'kicked':
+        /**
+         * A participant was kicked from a room.
+         * @event TextRoomPlugin#kicked
+         * @type {Object}
+         * @property {Number} room
+         * @property {String} username
+         */
+        this.emit('kicked', { room: data.room, username: data.username });
+        break;
+
+      case 'destroyed':
+        /**
+         * A room has been destroyed.
+         * @event TextRoomPlugin#room_destroyed
+         * @type {Object}
+         * @property {Number} room
+         */
+        this.emit('room_destroyed', { room: data.room });
+        break;
+
+      default:
+        this.logger.debug(`Ignoring TextRoom message '${data.textroom}'`);
+    }
+  },
+
+  /**
+   * Only the `setup`/`ack` handshake uses the signalling path of Janus.
+   *
+   * @protected
+   * @override
+   * @emits TextRoomPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error on the signalling path.
+       * @event TextRoomPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+    }
+  },
+
+  /**
+   * Reject requests still waiting for a reply, and release the data channel.
+   *
+   * @protected
+   * @override
+   */
+  onDetached() {
+    this.rejectDataTransactions({ reason: 'Plugin detached' });
+    this.releaseDataChannel();
+  },
+};
+
+/**
+ * @constructs TextRoomPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the TextRoom plugin of Janus (`janus.plugin.textroom`), a text chat over WebRTC data
+ * channels.
+ *
+ * Only the `setup`/`ack` handshake goes over the signalling path of Janus. All other requests
+ * are sent over a data channel given to {@link TextRoomPlugin#useDataChannel}, and are matched to
+ * their replies by their own `transaction`.
+ *
+ * @example
+ * const offer = await textRoomPlugin.setup();
+ * await peerConnection.setRemoteDescription(offer);
+ * const answer = await peerConnection.createAnswer();
+ * await peerConnection.setLocalDescription(answer);
+ * peerConnection.ondatachannel = ({ channel }) => {
+ *   textRoomPlugin.useDataChannel(channel);
+ *   channel.onopen = () => textRoomPlugin.join(1234, 'alice', { display: 'Alice' });
+ * };
+ * await textRoomPlugin.ack(answer);
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/textroom.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  deepProperties,
+  methods,
+});
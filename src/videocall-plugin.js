@@ -0,0 +1,210 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * Names of events of the VideoCall plugin which are emitted under another name, to be snake_case
+ * and to not collide with events of {@link BasePlugin}.
+ *
+ * @private
+ */
+const EVENT_NAMES = {
+  incomingcall: 'incoming_call',
+  hangup: 'call_hangup',
+};
+
+/**
+ * @lends VideoCallPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.videocall',
+
+  /**
+   * The username registered by this handle. `null` if not registered.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  username: null,
+
+  /**
+   * The username of the other party of the current call. `null` if not in a call.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  peer: null,
+};
+
+/**
+ * @lends VideoCallPlugin.prototype
+ */
+const methods = {
+  /**
+   * @public
+   * @returns {Promise<String[]>} The registered usernames
+   */
+  async list() {
+    const { result } = await this.sendRequest({ request: 'list' }, undefined, { awaitEvent: true });
+    return result.list;
+  },
+
+  /**
+   * Register a username, under which this handle can be called.
+   *
+   * @public
+   * @param {String} username
+   * @returns {Promise} Response from Janus
+   */
+  async register(username) {
+    return this.sendMessage({ request: 'register', username });
+  },
+
+  /**
+   * Call a registered username.
+   *
+   * @public
+   * @param {String} username - The callee
+   * @param {Object} jsep - The JSEP offer
+   * @returns {Promise} Response from Janus
+   */
+  async call(username, jsep) {
+    return this.sendMessage({ request: 'call', username }, jsep);
+  },
+
+  /**
+   * Accept an incoming call.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of the incoming call
+   * @returns {Promise} Response from Janus
+   */
+  async accept(jsep) {
+    return this.sendMessage({ request: 'accept' }, jsep);
+  },
+
+  /**
+   * Change the settings of the current call, optionally renegotiating with JSEP.
+   *
+   * @public
+   * @param {Object} params - E.g. `audio`, `video`, `bitrate`, `record`, `filename`, `substream`,
+   * `temporal`
+   * @param {Object} [jsep]
+   * @returns {Promise} Response from Janus
+   */
+  async set(params, jsep) {
+    return this.sendMessage({ ...params, request: 'set' }, jsep);
+  },
+
+  /**
+   * Hang up the current call. The VideoCall plugin closes the PeerConnection of the call as well.
+   * Not to be confused with {@link BasePlugin#hangup}, which closes the PeerConnection only.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async hangupCall() {
+    return this.sendMessage({ request: 'hangup' });
+  },
+
+  /**
+   * Decode asynchronous messages of the VideoCall plugin into events named like the `event` of
+   * the plugin, e.g. `registered`, `calling`, `incoming_call`, `accepted`, `update`, `set`,
+   * `call_hangup`, each with the `result` of the plugin and the `jsep`, if any.
+   *
+   * @protected
+   * @override
+   * @emits VideoCallPlugin#list
+   * @emits VideoCallPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event VideoCallPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    const { result = {} } = data;
+
+    if (result.list) {
+      /**
+       * The registered usernames, as returned by {@link VideoCallPlugin#list}.
+       * @event VideoCallPlugin#list
+       * @type {String[]}
+       */
+      this.emit('list', result.list);
+      return;
+    }
+
+    if (!result.event) return;
+
+    switch (result.event) {
+      case 'registered':
+        this.username = result.username;
+        break;
+      case 'incomingcall':
+      case 'accepted':
+        if (result.username) this.peer = result.username;
+        break;
+      case 'hangup':
+        this.peer = null;
+        break;
+      default:
+    }
+
+    this.emit(EVENT_NAMES[result.event] || result.event, { ...result, jsep });
+  },
+};
+
+/**
+ * @constructs VideoCallPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the VideoCall plugin of Janus (`janus.plugin.videocall`), for one-to-one calls
+ * between registered usernames.
+ *
+ * @example
+ * await videoCallPlugin.register('alice');
+ * videoCallPlugin.on('accepted', ({ jsep }) => peerConnection.setRemoteDescription(jsep));
+ * await videoCallPlugin.call('bob', offer);
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/videocall.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  methods,
+});
@@ -0,0 +1,492 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BasePluginStamp from './base-plugin-stamp.js';
+import { PluginError } from './errors.js';
+
+/**
+ * @lends VideoRoomPlugin
+ */
+const properties = {
+  /**
+   * @override
+   */
+  name: 'janus.plugin.videoroom',
+
+  /**
+   * The room joined by this handle. `null` if not joined.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  room: null,
+
+  /**
+   * The ID of the participant in the room, as a publisher. `null` if not joined as publisher.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  participantId: null,
+
+  /**
+   * The private ID of the participant in the room, used to associate subscriber handles with the
+   * publisher handle. `null` if not joined as publisher.
+   * @member {Number}
+   * @instance
+   * @readonly
+   */
+  privateId: null,
+};
+
+/**
+ * @lends VideoRoomPlugin.prototype
+ */
+const methods = {
+  /**
+   * Create a room.
+   *
+   * @public
+   * @param {Object} [params={}] - See the documentation of the VideoRoom plugin, e.g. `room`,
+   * `description`, `secret`, `pin`, `is_private`, `publishers`, `bitrate`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin, containing `room`
+   */
+  async create(params = {}) {
+    return this.sendRequest({ ...params, request: 'create' });
+  },
+
+  /**
+   * Destroy a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `secret`, `permanent`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async destroy(room, params = {}) {
+    return this.sendRequest({ ...params, request: 'destroy', room });
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @returns {Promise<Boolean>} Does the room exist?
+   */
+  async exists(room) {
+    const { exists } = await this.sendRequest({ request: 'exists', room });
+    return exists;
+  },
+
+  /**
+   * @public
+   * @returns {Promise<Object[]>} The public rooms
+   */
+  async list() {
+    const { list } = await this.sendRequest({ request: 'list' });
+    return list;
+  },
+
+  /**
+   * @public
+   * @param {Number} room
+   * @returns {Promise<Object[]>} The participants of the room
+   */
+  async listParticipants(room) {
+    const { participants } = await this.sendRequest({ request: 'listparticipants', room });
+    return participants;
+  },
+
+  /**
+   * Join a room as publisher.
+   *
+   * The plugin replies asynchronously, which is also emitted as
+   * {@link VideoRoomPlugin#event:joined}.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object} [params={}] - E.g. `id`, `display`, `token`, `pin`
+   * @returns {Promise} The `joined` event of the plugin. Rejected with a {@link PluginError} if
+   * the plugin refuses.
+   */
+  async joinAsPublisher(room, params = {}) {
+    return this.sendMessage({
+      ...params, request: 'join', ptype: 'publisher', room,
+    }, undefined, { awaitEvent: true });
+  },
+
+  /**
+   * Join a room as subscriber of one or more streams of one or more publishers.
+   *
+   * The plugin replies asynchronously, which is also emitted as
+   * {@link VideoRoomPlugin#event:subscribed}, carrying the JSEP offer of Janus, which has to be
+   * answered with {@link VideoRoomPlugin#start}.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Object[]} streams - Each with `feed` (publisher ID) and optionally `mid`
+   * @param {Object} [params={}] - E.g. `private_id`, `use_msid`, `pin`
+   * @returns {Promise} The `attached` event of the plugin, with the JSEP offer. Rejected with a
+   * {@link PluginError} if the plugin refuses.
+   */
+  async joinAsSubscriber(room, streams, params = {}) {
+    return this.sendMessage({
+      ...params, request: 'join', ptype: 'subscriber', room, streams,
+    }, undefined, { awaitEvent: true });
+  },
+
+  /**
+   * Change the settings of a publisher or subscriber, optionally renegotiating with JSEP.
+   *
+   * @public
+   * @param {Object} params - E.g. `bitrate`, `record`, `filename`, `display`, `streams`
+   * @param {Object} [jsep]
+   * @returns {Promise} Response from Janus. Carries the JSEP answer if `jsep` was given.
+   */
+  async configure(params, jsep) {
+    return this.sendMessage({ ...params, request: 'configure' }, jsep);
+  },
+
+  /**
+   * Start publishing media.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP offer
+   * @param {Object} [params={}] - E.g. `audiocodec`, `videocodec`, `bitrate`, `record`,
+   * `display`, `descriptions`
+   * @returns {Promise} Response from Janus, carrying the JSEP answer
+   */
+  async publish(jsep, params = {}) {
+    return this.sendMessage({ ...params, request: 'publish' }, jsep);
+  },
+
+  /**
+   * Stop publishing media.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async unpublish() {
+    return this.sendMessage({ request: 'unpublish' });
+  },
+
+  /**
+   * Add streams to a subscription.
+   *
+   * The plugin replies asynchronously with {@link VideoRoomPlugin#event:updated}, carrying the
+   * JSEP offer of Janus for the renegotiation.
+   *
+   * @public
+   * @param {Object[]} streams - Each with `feed` (publisher ID) and optionally `mid`
+   * @returns {Promise} Response from Janus
+   */
+  async subscribe(streams) {
+    return this.sendMessage({ request: 'subscribe', streams });
+  },
+
+  /**
+   * Remove streams from a subscription.
+   *
+   * @public
+   * @param {Object[]} streams - Each with `feed`, `mid` or `sub_mid`
+   * @returns {Promise} Response from Janus
+   */
+  async unsubscribe(streams) {
+    return this.sendMessage({ request: 'unsubscribe', streams });
+  },
+
+  /**
+   * Add and remove streams of a subscription in one renegotiation.
+   *
+   * @public
+   * @param {Object} changes
+   * @param {Object[]} [changes.subscribe] - Streams to add, see {@link VideoRoomPlugin#subscribe}
+   * @param {Object[]} [changes.unsubscribe] - Streams to remove, see
+   * {@link VideoRoomPlugin#unsubscribe}
+   * @returns {Promise} Response from Janus
+   */
+  async update({ subscribe, unsubscribe } = {}) {
+    const body = { request: 'update' };
+    if (subscribe) body.subscribe = subscribe;
+    if (unsubscribe) body.unsubscribe = unsubscribe;
+    return this.sendMessage(body);
+  },
+
+  /**
+   * Switch subscribed streams to other publishers without renegotiation.
+   *
+   * @public
+   * @param {Object[]} streams - Each with `feed`, `mid` and `sub_mid`
+   * @returns {Promise} Response from Janus
+   */
+  async switch(streams) {
+    return this.sendMessage({ request: 'switch', streams });
+  },
+
+  /**
+   * Start receiving media as subscriber.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP answer to the offer of Janus
+   * @returns {Promise} Response from Janus
+   */
+  async start(jsep) {
+    return this.sendMessage({ request: 'start' }, jsep);
+  },
+
+  /**
+   * Pause receiving media as subscriber.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async pause() {
+    return this.sendMessage({ request: 'pause' });
+  },
+
+  /**
+   * Leave the room.
+   *
+   * @public
+   * @returns {Promise} Response from Janus
+   */
+  async leave() {
+    return this.sendMessage({ request: 'leave' });
+  },
+
+  /**
+   * Kick a participant out of a room.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Number} id - ID of the participant
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async kick(room, id, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'kick', room, id,
+    });
+  },
+
+  /**
+   * Forcibly mute or unmute a stream of a participant.
+   *
+   * @public
+   * @param {Number} room
+   * @param {Number} id - ID of the participant
+   * @param {String} mid - The stream to (un)mute
+   * @param {Boolean} mute
+   * @param {Object} [params={}] - E.g. `secret`
+   * @returns {Promise<Object>} The response of the plugin
+   */
+  async moderate(room, id, mid, mute, params = {}) {
+    return this.sendRequest({
+      ...params, request: 'moderate', room, id, mid, mute,
+    });
+  },
+
+  /**
+   * Decode asynchronous messages of the VideoRoom plugin into events.
+   *
+   * @protected
+   * @override
+   * @emits VideoRoomPlugin#joined
+   * @emits VideoRoomPlugin#subscribed
+   * @emits VideoRoomPlugin#updated
+   * @emits VideoRoomPlugin#publishers
+   * @emits VideoRoomPlugin#joining
+   * @emits VideoRoomPlugin#unpublished
+   * @emits VideoRoomPlugin#leaving
+   * @emits VideoRoomPlugin#kicked
+   * @emits VideoRoomPlugin#configured
+   * @emits VideoRoomPlugin#talking
+   * @emits VideoRoomPlugin#room_destroyed
+   * @emits VideoRoomPlugin#plugin_error
+   */
+  onPluginData(data, jsep, msg) {
+    switch (data.videoroom) {
+      case 'joined':
+        this.room = data.room;
+        this.participantId = data.id;
+        this.privateId = data.private_id;
+        /**
+         * Joined a room as publisher.
+         * @event VideoRoomPlugin#joined
+         * @type {Object} The message of the plugin, with `room`, `id`, `private_id`, `publishers`
+         */
+        this.emit('joined', data);
+        if (data.publishers && data.publishers.length) this.emit('publishers', data.publishers);
+        break;
+
+      case 'attached':
+        this.room = data.room;
+        /**
+         * Joined a room as subscriber.
+         * @event VideoRoomPlugin#subscribed
+         * @type {Object}
+         * @property {Number} room
+         * @property {Object[]} streams
+         * @property {Object} jsep - The JSEP offer of Janus
+         */
+        this.emit('subscribed', { room: data.room, streams: data.streams, jsep });
+        break;
+
+      case 'updated':
+        /**
+         * The subscription has been updated.
+         * @event VideoRoomPlugin#updated
+         * @type {Object}
+         * @property {Number} room
+         * @property {Object[]} streams
+         * @property {Object} [jsep] - The JSEP offer of Janus for the renegotiation
+         */
+        this.emit('updated', { room: data.room, streams: data.streams, jsep });
+        break;
+
+      case 'talking':
+      case 'stopped-talking':
+        /**
+         * A participant started or stopped talking. Only if the room has `audiolevel_event`.
+         * @event VideoRoomPlugin#talking
+         * @type {Object}
+         * @property {Number} id - ID of the participant
+         * @property {Boolean} talking
+         * @property {Number} audioLevel - Average audio level
+         */
+        this.emit('talking', {
+          id: data.id, talking: data.videoroom === 'talking', audioLevel: data['audio-level-dBov-avg'],
+        });
+        break;
+
+      case 'destroyed':
+        this.room = null;
+        /**
+         * The room has been destroyed.
+         * @event VideoRoomPlugin#room_destroyed
+         * @type {Object}
+         * @property {Number} room
+         */
+        this.emit('room_destroyed', { room: data.room });
+        break;
+
+      case 'event':
+        this.onEvent(data, msg);
+        break;
+
+      default:
+        this.logger.debug(`Ignoring VideoRoom message '${data.videoroom}'`);
+    }
+  },
+
+  /**
+   * @private
+   * @param {Object} data - The message of the plugin, with `videoroom: 'event'`
+   * @param {Object} msg - The complete message
+   */
+  onEvent(data, msg) {
+    if (data.error) {
+      /**
+       * The plugin reported an error asynchronously.
+       * @event VideoRoomPlugin#plugin_error
+       * @type {PluginError}
+       */
+      this.emit('plugin_error', new PluginError(msg));
+      return;
+    }
+
+    /**
+     * New publishers are available.
+     * @event VideoRoomPlugin#publishers
+     * @type {Object[]} The publishers, each with `id`, `display` and `streams`
+     */
+    if (data.publishers) this.emit('publishers', data.publishers);
+
+    /**
+     * A participant joined the room. Only if the room has `notify_joining`.
+     * @event VideoRoomPlugin#joining
+     * @type {Object} The participant, with `id` and `display`
+     */
+    if (data.joining) this.emit('joining', data.joining);
+
+    /**
+     * A publisher stopped publishing. `ok` if it was this handle.
+     * @event VideoRoomPlugin#unpublished
+     * @type {(Number|String)} ID of the publisher
+     */
+    if (data.unpublished !== undefined) this.emit('unpublished', data.unpublished);
+
+    if (data.leaving !== undefined) {
+      if (data.leaving === 'ok') {
+        this.room = null;
+        this.participantId = null;
+        this.privateId = null;
+      }
+      /**
+       * A participant left the room. `ok` if it was this handle.
+       * @event VideoRoomPlugin#leaving
+       * @type {(Number|String)} ID of the participant
+       */
+      this.emit('leaving', data.leaving);
+    }
+
+    /**
+     * A participant has been kicked out of the room.
+     * @event VideoRoomPlugin#kicked
+     * @type {Number} ID of the participant
+     */
+    if (data.kicked !== undefined) this.emit('kicked', data.kicked);
+
+    /**
+     * Publishing or subscribing has been (re)configured without renegotiation.
+     * @event VideoRoomPlugin#configured
+     */
+    if (data.configured === 'ok') this.emit('configured');
+  },
+};
+
+/**
+ * @constructs VideoRoomPlugin
+ * @mixes BasePlugin
+ *
+ * @classdesc
+ * Client of the VideoRoom plugin of Janus (`janus.plugin.videoroom`), an SFU for video
+ * conferences.
+ *
+ * A handle either publishes media to a room or subscribes to media of publishers. Use one handle
+ * per role.
+ *
+ * Requests which the plugin answers synchronously (e.g. {@link VideoRoomPlugin#create}) resolve
+ * to the response of the plugin. Requests which the plugin handles asynchronously (e.g.
+ * {@link VideoRoomPlugin#joinAsPublisher}) resolve to the response of Janus, and the result is
+ * emitted as event.
+ *
+ * @see {@link https://janus.conf.meetecho.com/docs/videoroom.html}
+ */
+export default BasePluginStamp.compose({
+  properties,
+  methods,
+});
@@ -0,0 +1,296 @@
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import stampit from '@stamp/it';
+
+/**
+ * @private
+ * @param {RTCIceCandidate} candidate
+ * @returns {Object} The candidate as expected by Janus
+ */
+function serializeCandidate(candidate) {
+  if (typeof candidate.toJSON === 'function') return candidate.toJSON();
+  const { candidate: sdp, sdpMid, sdpMLineIndex } = candidate;
+  return { candidate: sdp, sdpMid, sdpMLineIndex };
+}
+
+/**
+ * @lends WebRtcMixin
+ */
+const properties = {
+  /**
+   * The PeerConnection with Janus, see {@link WebRtcMixin#createPeerConnection}. `null` if there
+   * is none.
+   * @member {RTCPeerConnection}
+   * @instance
+   * @readonly
+   */
+  peerConnection: null,
+
+  /**
+   * @private
+   */
+  rtc_options: null,
+
+  /**
+   * Body of the messages answering offers which Janus pushes on its own, or `false`.
+   * @private
+   */
+  auto_answer: false,
+};
+
+/**
+ * @lends WebRtcMixin
+ */
+const deepProperties = {
+  /**
+   * Candidates trickled by Janus before the remote description was set.
+   * @private
+   */
+  pending_candidates: [],
+};
+
+/**
+ * @lends WebRtcMixin.prototype
+ */
+const methods = {
+  /**
+   * Create the PeerConnection with Janus, unless there is one already. Local ICE candidates are
+   * trickled to Janus, and remote tracks are emitted as {@link WebRtcMixin#event:track}.
+   *
+   * Add local tracks to the returned PeerConnection before {@link WebRtcMixin#sendOffer}.
+   *
+   * @public
+   * @returns {RTCPeerConnection}
+   */
+  createPeerConnection() {
+    if (this.peerConnection) return this.peerConnection;
+
+    const { RTCPeerConnection, configuration } = this.rtc_options;
+    if (!RTCPeerConnection) {
+      throw new Error('No RTCPeerConnection implementation available. Pass one in as `options.RTCPeerConnection`.');
+    }
+    const pc = new RTCPeerConnection(configuration);
+
+    pc.addEventListener('icecandidate', ({ candidate }) => {
+      // A `null` candidate signals the end of candidates.
+      const msg = candidate ? serializeCandidate(candidate) : { completed: true };
+      this.sendTrickle(msg).catch((err) => this.logger.warn('Trickling failed', err));
+    });
+
+    pc.addEventListener('track', (event) => {
+      /**
+       * The PeerConnection received a remote track.
+       * @event WebRtcMixin#track
+       * @type {RTCTrackEvent}
+       */
+      this.emit('track', event);
+    });
+
+    pc.addEventListener('connectionstatechange', () => {
+      /**
+       * The `connectionState` of the PeerConnection changed.
+       * @event WebRtcMixin#connection_state
+       * @type {String} E.g. `connecting`, `connected`, `disconnected`, `failed`, `closed`
+       */
+      this.emit('connection_state', pc.connectionState);
+    });
+
+    this.peerConnection = pc;
+    return pc;
+  },
+
+  /**
+   * Create an offer, send it to Janus along with `body`, and apply the answer of Janus. Used for
+   * the initial negotiation as well as for renegotiations.
+   *
+   * @public
+   * @param {Object} [body={}] - The body of the message to the server-side plugin, e.g.
+   * `{ request: 'configure' }` for the VideoRoom plugin
+   * @param {Object} [options={}]
+   * @param {Boolean} [options.iceRestart=false] - Restart ICE, see {@link WebRtcMixin#restartIce}
+   * @param {Object} [options.offerOptions] - Given to `RTCPeerConnection.createOffer()`
+   * @returns {Promise} Response from Janus, carrying the JSEP answer
+   */
+  async sendOffer(body = {}, { iceRestart = false, offerOptions = {} } = {}) {
+    const pc = this.createPeerConnection();
+    const offer = await pc.createOffer({ ...offerOptions, iceRestart });
+    await pc.setLocalDescription(offer);
+
+    const response = await this.sendMessage(body, { type: offer.type, sdp: offer.sdp });
+    if (response.jsep) await this.setRemoteDescription(response.jsep);
+    return response;
+  },
+
+  /**
+   * Apply an offer of Janus (e.g. after `watch` of the Streaming plugin, or of a VideoRoom
+   * subscription), and send the answer to Janus along with `body`.
+   *
+   * @public
+   * @param {Object} jsep - The JSEP offer of Janus
+   * @param {Object} [body={}] - The body of the message to the server-side plugin, e.g.
+   * `{ request: 'start' }`
+   * @returns {Promise} Response from Janus
+   */
+  async sendAnswer(jsep, body = {}) {
+    const pc = this.createPeerConnection();
+    await this.setRemoteDescription(jsep);
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    return this.sendMessage(body, { type: answer.type, sdp: answer.sdp });
+  },
+
+  /**
+   * Restart ICE, e.g. after a change of the network. Renegotiates with an offer.
+   *
+   * @public
+   * @param {Object} [body={}] - See {@link WebRtcMixin#sendOffer}
+   * @returns {Promise} Response from Janus, carrying the JSEP answer
+   */
+  async restartIce(body = {}) {
+    return this.sendOffer(body, { iceRestart: true });
+  },
+
+  /**
+   * Close the PeerConnection. Happens automatically when Janus hangs up, or when the plugin is
+   * detached.
+   *
+   * @public
+   */
+  closePeerConnection() {
+    const pc = this.peerConnection;
+    if (!pc) return;
+    this.peerConnection = null;
+    this.pending_candidates.length = 0;
+    pc.close();
+    /**
+     * The PeerConnection has been closed.
+     * @event WebRtcMixin#peer_connection_closed
+     */
+    this.emit('peer_connection_closed');
+  },
+
+  /**
+   * Answer an offer which Janus pushed on its own, e.g. to renegotiate a VideoRoom subscription.
+   * Offers in replies to requests are left to {@link WebRtcMixin#sendAnswer} of the application.
+   *
+   * @private
+   * @param {Object} jsep - The JSEP of the pushed event, if any
+   * @param {Object} msg - The message of Janus carrying the event
+   */
+  answerPushedOffer(jsep, msg) {
+    if (this.auto_answer === false || !jsep || jsep.type !== 'offer' || msg.transaction) return;
+    this.sendAnswer(jsep, this.auto_answer)
+      .catch((err) => this.logger.warn('Answering the offer of Janus failed', err));
+  },
+
+  /**
+   * @private
+   * @param {Object} jsep - The JSEP offer or answer of Janus
+   */
+  async setRemoteDescription(jsep) {
+    const pc = this.peerConnection;
+    await pc.setRemoteDescription(jsep);
+    const candidates = this.pending_candidates.splice(0);
+    await Promise.all(candidates.map((candidate) => pc.addIceCandidate(candidate)));
+  },
+
+  /**
+   * Add a candidate trickled by Janus, or queue it until the remote description is set.
+   *
+   * @private
+   * @param {Object} candidate - As trickled by Janus
+   */
+  async addRemoteCandidate(candidate) {
+    const pc = this.peerConnection;
+    if (!pc) return;
+    // Janus signals the end of candidates with `completed`.
+    const iceCandidate = candidate.completed ? null : candidate;
+    if (!pc.remoteDescription) {
+      this.pending_candidates.push(iceCandidate);
+      return;
+    }
+    await pc.addIceCandidate(iceCandidate);
+  },
+};
+
+/**
+ * @param {Object} [options={}]
+ * @param {Function} [options.RTCPeerConnection=globalThis.RTCPeerConnection] - Implementation of
+ * `RTCPeerConnection`, e.g. of the `wrtc` package in Node.js, or a fake in tests
+ * @param {Object} [options.rtcConfiguration={}] - Given to the constructor of `RTCPeerConnection`,
+ * e.g. with `iceServers`
+ * @param {Object|Boolean} [options.autoAnswer={}] - Body of the messages answering offers which
+ * Janus pushes on its own, e.g. `{ request: 'start' }`. `false` to answer them with
+ * {@link WebRtcMixin#sendAnswer} instead, e.g. incoming calls of the SIP plugin.
+ */
+function init({
+  RTCPeerConnection = globalThis.RTCPeerConnection,
+  rtcConfiguration = {},
+  autoAnswer = {},
+} = {}) {
+  this.rtc_options = { RTCPeerConnection, configuration: rtcConfiguration };
+  this.auto_answer = autoAnswer === true ? {} : autoAnswer;
+
+  // The plugin keeps handling its events, the mixin only answers the offers among them.
+  const { onPluginData } = this;
+  this.onPluginData = function onPluginDataAndAnswer(data, jsep, msg) {
+    const result = onPluginData.call(this, data, jsep, msg);
+    this.answerPushedOffer(jsep, msg);
+    return result;
+  };
+
+  const tag = 'webrtc-mixin';
+  this.on('trickle', ({ candidate }) => {
+    this.addRemoteCandidate(candidate)
+      .catch((err) => this.logger.warn('Adding remote candidate failed', err));
+  }, { tag });
+  this.on('hangup', () => this.closePeerConnection(), { tag });
+  this.on('detached', () => this.closePeerConnection(), { tag });
+}
+
+/**
+ * @constructs WebRtcMixin
+ *
+ * @classdesc
+ * Optional mixin for plugins composed from {@link BasePlugin}, which owns the PeerConnection with
+ * Janus: offer/answer in both directions, trickle ICE, renegotiation, ICE restart, and closing on
+ * hangup. Offers which Janus pushes on its own are answered automatically, see
+ * `options.autoAnswer`.
+ *
+ * @example
+ * const Plugin = VideoRoomPlugin.compose(WebRtcMixin);
+ * const publisher = Plugin({ rtcConfiguration: { iceServers } });
+ * await session.attachPlugin(publisher);
+ * await publisher.joinAsPublisher(1234);
+ * stream.getTracks().forEach((track) => publisher.createPeerConnection().addTrack(track, stream));
+ * await publisher.sendOffer({ request: 'publish' });
+ */
+export default stampit({
+  properties,
+  deepProperties,
+  methods,
+  init,
+});
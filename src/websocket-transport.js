@@ -0,0 +1,326 @@
+/* eslint-disable import/extensions */
+
+/*
+minnie-janus - Minimal and modern JavaScript interface for the Janus WebRTC gateway
+
+Copyright 2018 Michael Karl Franzl
+
+Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+associated documentation files (the "Software"), to deal in the Software without restriction,
+including without limitation the rights to use, copy, modify, merge, publish, distribute,
+sublicense, and/or sell copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all copies or substantial
+portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT
+NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module
+ */
+
+import BaseTransport from './base-transport.js';
+
+/**
+ * @lends WebSocketTransport
+ */
+const properties = {
+  /**
+   * URL of the WebSocket server of Janus, e.g. `ws://localhost:8188`
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  url: null,
+
+  /**
+   * WebSocket subprotocol. Janus expects `janus-protocol` on its regular port and
+   * `janus-admin-protocol` on its admin port.
+   * @member {String}
+   * @instance
+   * @readonly
+   */
+  protocol: 'janus-protocol',
+
+  /**
+   * The underlying WebSocket instance. `null` when not opened.
+   * @member {WebSocket}
+   * @instance
+   * @readonly
+   */
+  socket: null,
+
+  /**
+   * Reconnection settings, or `null` if reconnection is disabled. See
+   * {@link WebSocketTransport} for the properties.
+   * @member {Object}
+   * @instance
+   * @readonly
+   */
+  reconnect: null,
+
+  /**
+   * Number of failed reconnection attempts since the connection was lost.
+   * @member {Integer}
+   * @instance
+   * @readonly
+   */
+  reconnectAttempts: 0,
+
+  reconnectTimeout: null,
+  closing: false,
+};
+
+/**
+ * @lends WebSocketTransport.prototype
+ */
+const methods = {
+  /**
+   * Open the WebSocket.
+   *
+   * @public
+   * @override
+   * @emits BaseTransport#open
+   * @returns {Promise} Resolved when the WebSocket is open. Rejected if it fails to open.
+   */
+  async open() {
+    this.logger.debug(`Opening WebSocket to ${this.url}`);
+    this.closing = false;
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url, this.protocol);
+      this.socket = socket;
+      let opened = false;
+
+      socket.addEventListener('open', () => {
+        opened = true;
+        this.logger.info(`WebSocket to ${this.url} open.`);
+        this.opened();
+        resolve();
+      });
+
+      socket.addEventListener('message', (event) => this.receive(event.data));
+
+      socket.addEventListener('error', (event) => {
+        const err = event.error || new Error(`WebSocket error on ${this.url}`);
+        this.logger.error('WebSocket error', err);
+        if (!opened) {
+          reject(err);
+          return;
+        }
+        this.failed(err);
+      });
+
+      socket.addEventListener('close', ({ code, reason }) => {
+        this.socket = null;
+        if (!opened) {
+          reject(new Error(`WebSocket to ${this.url} closed before opening (code ${code})`));
+          return;
+        }
+        const reconnecting = Boolean(this.reconnect) && !this.closing;
+        const details = {
+          code, reason, requested: this.closing, reconnecting,
+        };
+        this.logger.info(`WebSocket to ${this.url} closed.`, details);
+        this.closed(details);
+        if (reconnecting) this.scheduleReconnect();
+      });
+    });
+  },
+
+  /**
+   * Close the WebSocket.
+   *
+   * The details of {@link BaseTransport#event:close} are `code` and `reason` of the WebSocket
+   * close event, `requested` which is `true` if closed by this method, and `reconnecting` which is
+   * `true` if the connection was lost and will be re-established.
+   *
+   * @public
+   * @override
+   * @returns {Promise} Resolved when the WebSocket is closed.
+   */
+  async close() {
+    this.logger.debug('close()');
+    this.closing = true;
+    clearTimeout(this.reconnectTimeout);
+
+    const { socket } = this;
+    if (!socket) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      socket.addEventListener('close', () => resolve());
+      socket.close();
+    });
+  },
+
+  /**
+   * Drop the WebSocket, so that it is re-opened, if `options.reconnect.onConnectionLost` is set.
+   *
+   * @protected
+   * @override
+   * @param {Error} err - The reason given by the session
+   */
+  connectionLost(err) {
+    const { socket } = this;
+    if (!this.reconnect || !this.reconnect.onConnectionLost || !socket) return;
+
+    this.logger.warn('Session lost the connection. Reconnecting.', err);
+    // Dead connections don't complete the closing handshake. The `ws` package can skip it.
+    if (socket.terminate) socket.terminate();
+    else socket.close();
+  },
+
+  /**
+   * Re-open the WebSocket after a delay which grows exponentially with the number of failed
+   * attempts.
+   *
+   * @private
+   * @emits WebSocketTransport#reconnecting
+   * @emits WebSocketTransport#reconnected
+   * @emits WebSocketTransport#reconnect_failed
+   */
+  scheduleReconnect() {
+    const {
+      minDelayMs, maxDelayMs, factor, maxAttempts,
+    } = this.reconnect;
+
+    if (this.reconnectAttempts >= maxAttempts) {
+      this.logger.error(`Giving up reconnecting to ${this.url}`);
+      /** @event WebSocketTransport#reconnect_failed */
+      this.emit('reconnect_failed');
+      this.closed({ requested: false, reconnecting: false });
+      return;
+    }
+
+    const delayMs = Math.min(maxDelayMs, minDelayMs * (factor ** this.reconnectAttempts));
+    this.reconnectAttempts += 1;
+    this.logger.info(`Reconnecting to ${this.url} in ${delayMs} ms (attempt ${this.reconnectAttempts})`);
+    /**
+     * @event WebSocketTransport#reconnecting
+     * @type {Object}
+     * @property {Integer} attempt - Number of this attempt, starting with 1
+     * @property {Integer} delayMs - Delay before this attempt
+     */
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs });
+
+    this.reconnectTimeout = setTimeout(async () => {
+      if (this.closing) return;
+      try {
+        await this.open();
+      } catch (err) {
+        this.scheduleReconnect();
+        return;
+      }
+      this.reconnectAttempts = 0;
+      /** @event WebSocketTransport#reconnected */
+      this.emit('reconnected');
+    }, delayMs);
+  },
+
+  /**
+   * Serialize a message and send it to Janus.
+   *
+   * @public
+   * @override
+   * @param {Object} msg - Should be JSON-serializable.
+   */
+  send(msg) {
+    if (!this.socket || this.socket.readyState !== this.WebSocket.OPEN) {
+      this.logger.warn('WebSocket not open. Dropping outgoing message.', msg);
+      return;
+    }
+    this.socket.send(JSON.stringify(msg));
+  },
+
+  /**
+   * @private
+   * @param {String} data - A JSON string received from Janus
+   */
+  receive(data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (err) {
+      this.logger.error('Could not parse message from Janus', data);
+      this.emit('error', err);
+      return;
+    }
+    this.received(msg);
+  },
+};
+
+/**
+ * @constructs WebSocketTransport
+ * @mixes BaseTransport
+ *
+ * @classdesc
+ *
+ * Transport between a {@link Session} and the WebSocket interface of Janus.
+ *
+ * Works with the `WebSocket` class of browsers as well as with the one of the `ws` package for
+ * Node.js, which has to be passed in as `options.WebSocket`.
+ *
+ * When `options.reconnect` is given, a lost connection is re-established with exponential backoff.
+ * The connected {@link Session} then reclaims its server-side session (see
+ * {@link Session#reclaim}).
+ *
+ * @example
+ * import WebSocket from 'ws';
+ *
+ * const session = Session();
+ * const transport = WebSocketTransport({ url: 'ws://localhost:8188', WebSocket });
+ * await transport.connect(session);
+ * await session.create();
+ *
+ * @param {Object} options
+ * @param {String} options.url - URL of the WebSocket server of Janus
+ * @param {String} [options.protocol=janus-protocol] - WebSocket subprotocol
+ * @param {Function} [options.WebSocket=globalThis.WebSocket] - WebSocket constructor
+ * @param {(Boolean|Object)} [options.reconnect=false] - Re-establish lost connections. `true` for
+ * the default settings below.
+ * @param {Integer} [options.reconnect.minDelayMs=1000] - Delay before the first attempt
+ * @param {Integer} [options.reconnect.maxDelayMs=30000] - Maximum delay between attempts
+ * @param {Number} [options.reconnect.factor=2] - Growth factor of the delay between attempts
+ * @param {Integer} [options.reconnect.maxAttempts=Infinity] - Give up after this many failed
+ * attempts
+ * @param {Boolean} [options.reconnect.onConnectionLost=true] - Also reconnect when the session
+ * lost the connection because of missed keepalives (see {@link Session#event:connection_lost})
+ * @param {Object} [options.logger] - See {@link BaseTransport}
+ * @return {WebSocketTransport}
+ */
+function init({
+  url,
+  protocol = 'janus-protocol',
+  WebSocket = globalThis.WebSocket,
+  reconnect = false,
+} = {}) {
+  if (!url) throw new Error('WebSocketTransport requires a URL');
+  if (!WebSocket) throw new Error('No WebSocket implementation available. Pass one in as `options.WebSocket`.');
+
+  this.url = url;
+  this.protocol = protocol;
+  this.WebSocket = WebSocket;
+
+  if (reconnect) {
+    this.reconnect = {
+      minDelayMs: 1000,
+      maxDelayMs: 30000,
+      factor: 2,
+      maxAttempts: Infinity,
+      onConnectionLost: true,
+      ...(reconnect === true ? {} : reconnect),
+    };
+  }
+}
+
+export default BaseTransport.compose({
+  properties,
+  methods,
+  initializers: [init],
+});
@@ -0,0 +1,103 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import AdminClient from '../src/admin-client.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+describe('AdminClient', function () {
+  let admin;
+  let sent;
+  let reply;
+
+  beforeEach(function () {
+    reply = {};
+    admin = AdminClient({ adminSecret: 'janusoverlord' });
+    sent = respond(admin, () => ({ janus: 'success', ...reply }));
+  });
+
+  afterEach(function () {
+    admin.stop();
+  });
+
+  it('adds the admin secret to every message', async function () {
+    await admin.info();
+    expect(sent[0].admin_secret).to.equal('janusoverlord');
+  });
+
+  it('does not send keepalives', async function () {
+    await admin.info();
+    expect(admin.keepalive_timeout).to.equal(null);
+  });
+
+  it('lists sessions', async function () {
+    reply = { sessions: [1, 2] };
+    expect(await admin.listSessions()).to.deep.equal([1, 2]);
+    expect(sent[0].janus).to.equal('list_sessions');
+  });
+
+  it('lists the handles of a session', async function () {
+    reply = { handles: [3] };
+    expect(await admin.listHandles(1)).to.deep.equal([3]);
+    expect(sent[0]).to.include({ janus: 'list_handles', session_id: 1 });
+  });
+
+  it('gets information about a handle', async function () {
+    reply = { info: { plugin: 'janus.plugin.echotest' } };
+    const info = await admin.handleInfo(1, 3, { plaintext: true });
+    expect(info.plugin).to.equal('janus.plugin.echotest');
+    expect(sent[0]).to.include({
+      janus: 'handle_info', session_id: 1, handle_id: 3, plaintext: true,
+    });
+  });
+
+  it('sets the log level', async function () {
+    reply = { level: 5 };
+    expect(await admin.setLogLevel(5)).to.equal(5);
+    expect(sent[0]).to.include({ janus: 'set_log_level', level: 5 });
+  });
+
+  it('adds and removes tokens', async function () {
+    reply = { data: { plugins: ['janus.plugin.echotest'] } };
+    expect(await admin.addToken('abc', ['janus.plugin.echotest'])).to.deep.equal(['janus.plugin.echotest']);
+    await admin.removeToken('abc');
+    expect(sent[0]).to.deep.include({ janus: 'add_token', token: 'abc', plugins: ['janus.plugin.echotest'] });
+    expect(sent[1]).to.include({ janus: 'remove_token', token: 'abc' });
+  });
+
+  it('keeps the tokens to add and remove apart from its own token', async function () {
+    const other = AdminClient({ adminSecret: 'janusoverlord', token: 'mine' });
+    const otherSent = respond(other, () => ({ janus: 'success', data: { plugins: [] } }));
+    try {
+      await other.addToken('abc');
+      await other.removeToken('abc');
+      await other.info();
+    } finally {
+      other.stop();
+    }
+    expect(otherSent.map(({ token }) => token)).to.deep.equal(['abc', 'abc', 'mine']);
+  });
+
+  it('starts and stops pcap captures', async function () {
+    await admin.startPcap(1, 3, { folder: '/tmp', filename: 'capture.pcap' });
+    await admin.stopPcap(1, 3);
+    expect(sent[0]).to.include({
+      janus: 'start_pcap', session_id: 1, handle_id: 3, folder: '/tmp', filename: 'capture.pcap',
+    });
+    expect(sent[0]).to.not.have.property('truncate');
+    expect(sent[1]).to.include({ janus: 'stop_pcap', session_id: 1, handle_id: 3 });
+  });
+
+  it('queries event handlers', async function () {
+    reply = { response: { result: 200 } };
+    const response = await admin.queryEventHandler('janus.eventhandler.sampleevh', { request: 'tweak' });
+    expect(response.result).to.equal(200);
+    expect(sent[0]).to.deep.include({
+      janus: 'query_eventhandler',
+      handler: 'janus.eventhandler.sampleevh',
+      request: { request: 'tweak' },
+    });
+  });
+});
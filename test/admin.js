@@ -2,10 +2,9 @@
 
 import chai from 'chai';
 
-import Session from '../src/session-stamp.js';
+import AdminClient from '../src/admin-client.js';
 
-import MessageReplayer from './lib/message_replayer.js';
-import MessageReplayerWebsocket from './lib/message_replayer_websocket.js';
+import connectTape from './lib/tapes.js';
 
 const expect = chai.expect;
 
@@ -14,7 +13,7 @@ const expect = chai.expect;
 // testing the implementation of minnie-janus.
 describe('Admin API', function () {
   let session;
-  let messageReplayer;
+  let disconnect;
 
   function getParentNames(node, names = []) {
     names.unshift(node.title);
@@ -23,31 +22,25 @@ describe('Admin API', function () {
   }
 
   beforeEach(async function () {
-    messageReplayer = MessageReplayer.compose(MessageReplayerWebsocket)({
-      url: 'ws://localhost:7188', // admin API listens on a different port
-    });
-
-    session = Session();
-
-    messageReplayer.on('message', (msg) => session.receive(msg));
-    session.on('output', (msg) => messageReplayer.send(msg));
+    session = AdminClient();
 
     const testNames = getParentNames(this.currentTest);
-    await messageReplayer.start(testNames);
+    // The admin API listens on a different port.
+    disconnect = await connectTape(session, testNames, { url: 'ws://localhost:7188' });
   });
 
   afterEach(async function () {
     session.stop();
-    await messageReplayer.stop();
+    await disconnect();
   });
 
   it('gets info', async function () {
-    const info = await session.send({ janus: 'info' });
+    const info = await session.info();
     expect(info.janus).to.equal('server_info');
   });
 
   it('gets the server name', async function () {
-    const info = await session.send({ janus: 'info' });
+    const info = await session.info();
     expect(info.name).to.equal('Janus WebRTC Server');
   });
 });
@@ -0,0 +1,184 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import AudioBridgePlugin from '../src/audiobridge-plugin.js';
+import { PluginError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+const { pluginData, pluginEvent, push } = pluginFixtures('janus.plugin.audiobridge');
+
+describe('AudioBridgePlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let handler;
+
+  beforeEach(async function () {
+    handler = () => {};
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => handler(msg));
+    await session.create();
+    plugin = AudioBridgePlugin();
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('synchronous requests', function () {
+    beforeEach(function () {
+      handler = (msg) => {
+        const replies = {
+          create: { audiobridge: 'created', room: 1234 },
+          exists: { audiobridge: 'success', room: 1234, exists: true },
+          list: { audiobridge: 'success', list: [{ room: 1234 }] },
+          listparticipants: { audiobridge: 'participants', room: 1234, participants: [{ id: 1 }] },
+          rtp_forward: { audiobridge: 'success', room: 1234, stream_id: 99 },
+          listforwarders: { audiobridge: 'forwarders', room: 1234, rtp_forwarders: [{ stream_id: 99 }] },
+          destroy: { audiobridge: 'destroyed', room: 1234 },
+        };
+        return {
+          janus: 'success',
+          ...pluginData(replies[msg.body.request] || { audiobridge: 'success' }),
+        };
+      };
+    });
+
+    it('manages rooms', async function () {
+      expect((await plugin.create({ room: 1234 })).room).to.equal(1234);
+      expect(lastBody(sent)).to.deep.equal({ request: 'create', room: 1234 });
+      expect(await plugin.exists(1234)).to.equal(true);
+      expect(await plugin.list()).to.deep.equal([{ room: 1234 }]);
+      await plugin.edit(1234, { new_description: 'Lobby' });
+      expect(lastBody(sent)).to.deep.equal({ request: 'edit', room: 1234, new_description: 'Lobby' });
+      await plugin.destroy(1234, { secret: 's' });
+      expect(lastBody(sent)).to.deep.equal({ request: 'destroy', room: 1234, secret: 's' });
+    });
+
+    it('lists and moderates participants', async function () {
+      expect(await plugin.listParticipants(1234)).to.deep.equal([{ id: 1 }]);
+      await plugin.mute(1234, 1);
+      expect(lastBody(sent)).to.deep.equal({ request: 'mute', room: 1234, id: 1 });
+      await plugin.unmute(1234, 1);
+      expect(lastBody(sent)).to.deep.equal({ request: 'unmute', room: 1234, id: 1 });
+    });
+
+    it('manages RTP forwarders', async function () {
+      expect(await plugin.rtpForward(1234, '127.0.0.1', 5000)).to.equal(99);
+      expect(lastBody(sent)).to.deep.equal({
+        request: 'rtp_forward', room: 1234, host: '127.0.0.1', port: 5000,
+      });
+      expect(await plugin.listForwarders(1234)).to.deep.equal([{ stream_id: 99 }]);
+      await plugin.stopRtpForward(1234, 99);
+      expect(lastBody(sent)).to.deep.equal({ request: 'stop_rtp_forward', room: 1234, stream_id: 99 });
+    });
+
+    it('rejects with a PluginError', async function () {
+      handler = () => ({
+        janus: 'success',
+        ...pluginData({ audiobridge: 'event', error_code: 485, error: 'No such room' }),
+      });
+      await expect(plugin.exists(1)).to.be.rejectedWith(PluginError);
+    });
+  });
+
+  describe('participant roster', function () {
+    const joined = {
+      audiobridge: 'joined',
+      room: 1234,
+      id: 10,
+      participants: [{ id: 11, display: 'alice', muted: false }],
+    };
+    let response;
+
+    beforeEach(async function () {
+      handler = () => [{ janus: 'ack' }, pluginEvent(joined)];
+      response = await plugin.join(1234, { display: 'me' });
+      expect(lastBody(sent)).to.deep.equal({ request: 'join', room: 1234, display: 'me' });
+    });
+
+    it('resolves the join with the joined event', function () {
+      expect(response.janus).to.equal('event');
+      expect(response.plugindata.data).to.deep.equal(joined);
+    });
+
+    it('tracks the joined room and the other participants', function () {
+      expect(plugin.room).to.equal(1234);
+      expect(plugin.participantId).to.equal(10);
+      expect(plugin.participants).to.deep.equal({ 11: { id: 11, display: 'alice', muted: false } });
+    });
+
+    it('adds, updates and removes participants', function () {
+      const events = [];
+      ['participant_joined', 'participant_updated', 'participant_left'].forEach((name) => {
+        plugin.on(name, (p) => events.push([name, p.id]));
+      });
+
+      push(session, { audiobridge: 'joined', room: 1234, participants: [{ id: 12, display: 'bob' }] });
+      push(session, { audiobridge: 'event', room: 1234, participants: [{ id: 11, muted: true }] });
+      expect(plugin.participants[11]).to.deep.equal({ id: 11, display: 'alice', muted: true });
+
+      push(session, { audiobridge: 'event', room: 1234, leaving: 12 });
+      expect(plugin.participants).to.have.all.keys('11');
+      expect(events).to.deep.equal([
+        ['participant_joined', 12], ['participant_updated', 11], ['participant_left', 12],
+      ]);
+    });
+
+    it('tracks talking participants', function () {
+      const events = [];
+      plugin.on('talking', (e) => events.push(e));
+      push(session, { audiobridge: 'talking', room: 1234, id: 11 });
+      expect(plugin.participants[11].talking).to.equal(true);
+      push(session, { audiobridge: 'stopped-talking', room: 1234, id: 11 });
+      expect(plugin.participants[11].talking).to.equal(false);
+      expect(events).to.deep.equal([{ id: 11, talking: true }, { id: 11, talking: false }]);
+    });
+
+    it('resets the roster when changing rooms', async function () {
+      await plugin.changeRoom(5678);
+      expect(lastBody(sent)).to.deep.equal({ request: 'changeroom', room: 5678 });
+      push(session, {
+        audiobridge: 'roomchanged', room: 5678, id: 10, participants: [{ id: 20 }],
+      });
+      expect(plugin.room).to.equal(5678);
+      expect(plugin.participants).to.have.all.keys('20');
+    });
+
+    it('clears the roster when leaving', async function () {
+      let left;
+      plugin.on('left', (e) => { left = e; });
+      await plugin.leave();
+      push(session, { audiobridge: 'left', room: 1234, id: 10 });
+      expect(left).to.deep.equal({ room: 1234 });
+      expect(plugin.room).to.equal(null);
+      expect(plugin.participants).to.deep.equal({});
+    });
+
+    it('clears the roster when the room is destroyed', function () {
+      let destroyed;
+      plugin.on('room_destroyed', (e) => { destroyed = e; });
+      push(session, { audiobridge: 'destroyed', room: 1234 });
+      expect(destroyed).to.deep.equal({ room: 1234 });
+      expect(plugin.participants).to.deep.equal({});
+    });
+
+    it('emits asynchronous errors', function () {
+      let error;
+      plugin.on('plugin_error', (err) => { error = err; });
+      push(session, { audiobridge: 'event', error_code: 482, error: 'Already in room' });
+      expect(error).to.be.an.instanceof(PluginError);
+      expect(error.code).to.equal(482);
+    });
+  });
+
+  it('keeps separate rosters per instance', function () {
+    expect(AudioBridgePlugin().participants).to.not.equal(plugin.participants);
+  });
+});
@@ -0,0 +1,78 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import { JanusError } from '../src/errors.js';
+import respond from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('Authentication', function () {
+  let session;
+  let sent;
+
+  // Reply like Janus with stored-token authentication, accepting only `validToken`.
+  function answer(validToken) {
+    sent = respond(session, (msg) => (msg.token === validToken
+      ? { janus: 'success' }
+      : { janus: 'error', error: { code: 403, reason: 'Unauthorized request (wrong or missing secret/token)' } }));
+  }
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('adds a static token to every message', async function () {
+    session = Session({ token: 'abc' });
+    answer('abc');
+    await session.send({ janus: 'info' });
+    await session.send({ janus: 'info' });
+    expect(sent.map(({ token }) => token)).to.deep.equal(['abc', 'abc']);
+  });
+
+  it('adds the apisecret to every message', async function () {
+    session = Session({ apisecret: 'janusrocks' });
+    answer(undefined);
+    await session.send({ janus: 'info' });
+    expect(sent[0].apisecret).to.equal('janusrocks');
+  });
+
+  it('gets the token from a token provider before the first message', async function () {
+    const calls = [];
+    session = Session({ token: async (args) => { calls.push(args); return 'abc'; } });
+    answer('abc');
+    await session.send({ janus: 'info' });
+    await session.send({ janus: 'info' });
+    expect(calls).to.deep.equal([{ refresh: false }]);
+    expect(session.token).to.equal('abc');
+  });
+
+  it('refreshes the token and sends once more when Janus replies with 403', async function () {
+    const tokens = ['expired', 'fresh'];
+    const calls = [];
+    session = Session({ token: (args) => { calls.push(args); return tokens.shift(); } });
+    answer('fresh');
+    const response = await session.send({ janus: 'info' });
+    expect(response.janus).to.equal('success');
+    expect(sent.map(({ token }) => token)).to.deep.equal(['expired', 'fresh']);
+    expect(calls).to.deep.equal([{ refresh: false }, { refresh: true }]);
+  });
+
+  it('rejects when the refreshed token is rejected as well', async function () {
+    session = Session({ token: () => 'wrong' });
+    answer('abc');
+    const err = await expect(session.send({ janus: 'info' })).to.be.rejectedWith(JanusError);
+    expect(err.code).to.equal(JanusError.codes.UNAUTHORIZED);
+    expect(sent).to.have.lengthOf(2);
+  });
+
+  it('does not retry with a static token', async function () {
+    session = Session({ token: 'wrong' });
+    answer('abc');
+    await expect(session.send({ janus: 'info' })).to.be.rejectedWith(JanusError);
+    expect(sent).to.have.lengthOf(1);
+  });
+});
@@ -0,0 +1,101 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import BasePlugin from '../src/base-plugin-stamp.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+describe('BasePlugin', function () {
+  let session;
+  let plugin;
+
+  beforeEach(async function () {
+    session = Session();
+    respond(session);
+    plugin = BasePlugin.compose({ properties: { name: 'janus.plugin.echotest' } })();
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  function push(msg) {
+    const emitted = {};
+    ['webrtcup', 'media', 'slowlink', 'hangup', 'trickle', 'detached'].forEach((name) => {
+      plugin.on(name, (details) => { emitted[name] = details || true; });
+    });
+    session.receive({ session_id: 123, sender: 456, ...msg });
+    return emitted;
+  }
+
+  describe('receiving messages of the Janus core', function () {
+    it('emits webrtcup', function () {
+      expect(push({ janus: 'webrtcup' })).to.have.property('webrtcup');
+    });
+
+    it('emits media', function () {
+      const { media } = push({
+        janus: 'media', type: 'video', receiving: false, mid: '1', seconds: 1,
+      });
+      expect(media).to.include({
+        type: 'video', receiving: false, mid: '1', seconds: 1,
+      });
+    });
+
+    it('emits slowlink', function () {
+      const { slowlink } = push({
+        janus: 'slowlink', uplink: true, lost: 12, mid: '0', media: 'audio',
+      });
+      expect(slowlink).to.include({ uplink: true, lost: 12, mid: '0' });
+    });
+
+    it('emits hangup', function () {
+      const { hangup } = push({ janus: 'hangup', reason: 'DTLS alert' });
+      expect(hangup).to.deep.equal({ reason: 'DTLS alert' });
+    });
+
+    it('emits trickle', function () {
+      const { trickle } = push({ janus: 'trickle', candidate: { completed: true } });
+      expect(trickle.candidate).to.deep.equal({ completed: true });
+    });
+
+    it('marks itself as detached on a server-initiated detached', function () {
+      const emitted = push({ janus: 'detached' });
+      expect(emitted).to.have.property('detached');
+      expect(plugin.attached).to.equal(false);
+      expect(session.plugins[456].timeout_cleanup).to.not.equal(null);
+
+      session.stop();
+      expect(session.plugins).to.deep.equal({});
+    });
+
+    it('emits detached only once', async function () {
+      let count = 0;
+      plugin.on('detached', () => { count += 1; });
+      session.receive({ janus: 'detached', sender: 456 });
+      await plugin.detach();
+      expect(count).to.equal(1);
+    });
+  });
+
+  describe('receiving messages of the plugin', function () {
+    it('gives plugindata and jsep to onPluginData()', function () {
+      let args;
+      plugin.onPluginData = (...a) => { args = a; };
+      const msg = {
+        janus: 'event',
+        sender: 456,
+        plugindata: { plugin: 'janus.plugin.echotest', data: { result: 'ok' } },
+        jsep: { type: 'answer', sdp: 'v=0' },
+      };
+      session.receive(msg);
+      expect(args[0]).to.deep.equal({ result: 'ok' });
+      expect(args[1]).to.deep.equal({ type: 'answer', sdp: 'v=0' });
+      expect(args[2]).to.equal(msg);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import {
+  MinnieJanusError, JanusError, PluginError, TimeoutError, TransportClosedError,
+} from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('Errors', function () {
+  let session;
+
+  beforeEach(function () {
+    session = Session({ timeoutMs: 20 });
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  function replyWith(response) {
+    session.once('output', (msg) => session.receive({ ...response, transaction: msg.transaction }));
+  }
+
+  it('rejects with a JanusError when Janus replies with an error', async function () {
+    replyWith({ janus: 'error', error: { code: 460, reason: 'No such plugin' } });
+    const err = await expect(session.send({ janus: 'attach', plugin: 'x' })).to.be.rejectedWith(JanusError);
+    expect(err).to.be.an.instanceof(MinnieJanusError);
+    expect(err.code).to.equal(JanusError.codes.PLUGIN_NOT_FOUND);
+    expect(err.reason).to.equal('No such plugin');
+    expect(err.payload).to.include({ janus: 'attach', plugin: 'x' });
+  });
+
+  it('rejects with a PluginError when the plugin replies with an error', async function () {
+    replyWith({
+      janus: 'success',
+      plugindata: {
+        plugin: 'janus.plugin.videoroom',
+        data: { videoroom: 'event', error_code: 426, error: 'No such room' },
+      },
+    });
+    const err = await expect(session.send({ janus: 'message', body: { request: 'exists' } }))
+      .to.be.rejectedWith(PluginError);
+    expect(err).to.include({ code: 426, reason: 'No such room', plugin: 'janus.plugin.videoroom' });
+    expect(err.payload.body).to.deep.equal({ request: 'exists' });
+  });
+
+  it('rejects with a TimeoutError when Janus does not reply in time', async function () {
+    const err = await expect(session.send({ janus: 'info' })).to.be.rejectedWith(TimeoutError);
+    expect(err.timeoutMs).to.equal(20);
+    expect(err.payload.janus).to.equal('info');
+    expect(Object.keys(session.transactions)).to.have.lengthOf(0);
+  });
+
+  it('rejects with a TransportClosedError when the transport closes', async function () {
+    const response = session.send({ janus: 'info' });
+    session.transportClosed({ requested: false });
+    const err = await expect(response).to.be.rejectedWith(TransportClosedError);
+    expect(err.details).to.deep.equal({ requested: false });
+  });
+
+  it('keeps waiting when the transport is reconnecting', async function () {
+    session.options.timeoutMs = 5000;
+    const response = session.send({ janus: 'info' });
+    session.transportClosed({ reconnecting: true });
+    expect(Object.keys(session.transactions)).to.have.lengthOf(1);
+    session.receive({ janus: 'server_info', transaction: Object.keys(session.transactions)[0] });
+    await response;
+  });
+});
@@ -0,0 +1,196 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import FakeJanus from '../src/fake-janus.js';
+import { MinnieJanusError, TimeoutError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('events and waitFor', function () {
+  let janus;
+  let session;
+  let plugin;
+
+  beforeEach(async function () {
+    janus = FakeJanus({ plugins: { 'janus.plugin.echotest': () => ({ echotest: 'response' }) } });
+    session = Session({ keepaliveMs: 0 });
+    await janus.connect(session);
+    await session.create();
+    plugin = await session.attach('janus.plugin.echotest');
+  });
+
+  afterEach(async function () {
+    session.stop();
+    await janus.disconnect();
+  });
+
+  describe('events()', function () {
+    it('yields emitted events, buffering them until consumed', async function () {
+      const events = plugin.events();
+      plugin.emit('one', { a: 1 });
+      plugin.emit('two');
+
+      expect(await events.next()).to.deep.equal({ value: { name: 'one', data: { a: 1 } }, done: false });
+      expect(await events.next()).to.deep.equal({ value: { name: 'two', data: undefined }, done: false });
+      const third = events.next();
+      plugin.emit('three', 3);
+      expect(await third).to.deep.equal({ value: { name: 'three', data: 3 }, done: false });
+      await events.return();
+    });
+
+    it('serves concurrent calls of next() in order', async function () {
+      const events = plugin.events();
+      const pending = [events.next(), events.next(), events.next()];
+      plugin.emit('one', 1);
+      plugin.emit('two', 2);
+      await events.return();
+
+      expect(await Promise.all(pending)).to.deep.equal([
+        { value: { name: 'one', data: 1 }, done: false },
+        { value: { name: 'two', data: 2 }, done: false },
+        { value: undefined, done: true },
+      ]);
+    });
+
+    it('filters by name and by a predicate', async function () {
+      const events = plugin.events({ names: ['talking', 'left'], filter: ({ data }) => data.id === 1 });
+      plugin.emit('talking', { id: 2 });
+      plugin.emit('joined', { id: 1 });
+      plugin.emit('talking', { id: 1 });
+      plugin.emit('left', { id: 1 });
+
+      expect((await events.next()).value).to.deep.equal({ name: 'talking', data: { id: 1 } });
+      expect((await events.next()).value).to.deep.equal({ name: 'left', data: { id: 1 } });
+      await events.return();
+    });
+
+    it('ends with the error of a throwing filter, after the buffered events', async function () {
+      const error = new Error('Broken filter');
+      const events = plugin.events({
+        filter: ({ name }) => {
+          if (name === 'two') throw error;
+          return true;
+        },
+      });
+      const others = plugin.events();
+      const handled = [];
+      plugin.on('two', (data) => handled.push(data));
+      plugin.emit('one', 1);
+      plugin.emit('two', 2);
+      plugin.emit('three', 3);
+
+      expect((await events.next()).value).to.deep.equal({ name: 'one', data: 1 });
+      await expect(events.next()).to.be.rejectedWith(error);
+      expect(await events.next()).to.deep.equal({ value: undefined, done: true });
+      expect(handled).to.deep.equal([2]);
+      expect((await others.next()).value.name).to.equal('one');
+      expect((await others.next()).value.name).to.equal('two');
+      expect((await others.next()).value.name).to.equal('three');
+      await others.return();
+    });
+
+    it('rejects a waiting next() with the error of a throwing filter', async function () {
+      const error = new Error('Broken filter');
+      const events = plugin.events({ filter: () => { throw error; } });
+      const pending = [events.next(), events.next()];
+      plugin.emit('one', 1);
+
+      await expect(pending[0]).to.be.rejectedWith(error);
+      expect(await pending[1]).to.deep.equal({ value: undefined, done: true });
+    });
+
+    it('still emits events to handlers', function () {
+      const events = plugin.events();
+      let received;
+      plugin.on('one', (data) => { received = data; });
+      plugin.emit('one', 1);
+      expect(received).to.equal(1);
+      events.return();
+    });
+
+    it('stops listening when the loop is left', async function () {
+      const names = [];
+      plugin.emit('ignored');
+      setTimeout(() => ['one', 'two', 'three'].forEach((name) => plugin.emit(name)));
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const { name } of plugin.events()) {
+        names.push(name);
+        if (name === 'two') break;
+      }
+      expect(names).to.deep.equal(['one', 'two']);
+      expect(plugin.event_taps).to.deep.equal([]);
+    });
+
+    it('ends when the signal is aborted', async function () {
+      const controller = new AbortController();
+      const events = session.events({ signal: controller.signal });
+      const next = events.next();
+      controller.abort();
+      expect(await next).to.deep.equal({ value: undefined, done: true });
+    });
+
+    it('ends after the plugin is detached', async function () {
+      const names = [];
+      const iteration = (async () => {
+        // eslint-disable-next-line no-restricted-syntax
+        for await (const { name } of plugin.events()) names.push(name);
+      })();
+      await plugin.detach();
+      await iteration;
+      expect(names).to.deep.equal(['detached']);
+    });
+
+    it('ends after the session is destroyed', async function () {
+      const events = session.events({ names: 'destroyed' });
+      janus.timeoutSession(session.id);
+      expect((await events.next()).value).to.deep.equal({ name: 'destroyed', data: { reason: 'timeout' } });
+      expect(await events.next()).to.deep.equal({ value: undefined, done: true });
+    });
+  });
+
+  describe('waitFor()', function () {
+    it('resolves with the first pushed message of a type', async function () {
+      const webrtcup = plugin.waitFor('webrtcup');
+      janus.getHandle(plugin.id).push({ janus: 'media', type: 'audio', receiving: true });
+      janus.getHandle(plugin.id).push({ janus: 'webrtcup' });
+      expect(await webrtcup).to.deep.equal({ janus: 'webrtcup', session_id: session.id, sender: plugin.id });
+    });
+
+    it('resolves with the first pushed message matching a predicate', async function () {
+      const joined = plugin.waitFor((msg) => msg.plugindata && msg.plugindata.data.videoroom === 'joined');
+      janus.pushEvent(plugin.id, { videoroom: 'event', configured: 'ok' });
+      janus.pushEvent(plugin.id, { videoroom: 'joined', id: 1 });
+      expect((await joined).plugindata.data).to.deep.equal({ videoroom: 'joined', id: 1 });
+    });
+
+    it('rejects when no message matches in time', async function () {
+      const webrtcup = plugin.waitFor('webrtcup', { timeoutMs: 20 });
+      janus.pushEvent(plugin.id, { echotest: 'event' });
+      await expect(webrtcup).to.be.rejectedWith(TimeoutError, 'Timed out after 20 ms');
+      expect(plugin.message_waiters).to.deep.equal([]);
+    });
+
+    it('rejects when the predicate throws', async function () {
+      const waiting = plugin.waitFor((msg) => msg.plugindata.data.videoroom === 'joined');
+      janus.getHandle(plugin.id).push({ janus: 'webrtcup' });
+      await expect(waiting).to.be.rejectedWith(TypeError);
+    });
+
+    it('rejects when aborted', async function () {
+      const controller = new AbortController();
+      const webrtcup = plugin.waitFor('webrtcup', { signal: controller.signal });
+      controller.abort(new Error('Gave up'));
+      await expect(webrtcup).to.be.rejectedWith('Gave up');
+    });
+
+    it('rejects when the plugin is detached', async function () {
+      const webrtcup = plugin.waitFor('webrtcup');
+      await plugin.detach();
+      await expect(webrtcup).to.be.rejectedWith(MinnieJanusError, 'Plugin detached');
+    });
+  });
+});
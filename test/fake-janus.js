@@ -0,0 +1,222 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import SessionMultiplexer from '../src/session-multiplexer.js';
+import VideoCallPlugin from '../src/videocall-plugin.js';
+import FakeJanus from '../src/fake-janus.js';
+import { JanusError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+const ANSWER = { type: 'answer', sdp: 'v=0' };
+
+// Replies to `sync` requests synchronously, to all others with an event, and to offers with an
+// answer.
+const echoTest = {
+  message({ body, jsep, respond }, handle) {
+    if (body.request === 'fail') throw new Error('Cannot do that');
+    if (body.request === 'sync') return { echotest: 'response', handle: handle.id };
+    respond({ echotest: 'event', result: 'ok' }, jsep && ANSWER);
+    return undefined;
+  },
+  trickle(candidate, { state }) {
+    Object.assign(state, { candidates: [...(state.candidates || []), candidate] });
+  },
+  hangup({ state }) {
+    Object.assign(state, { hungUp: true });
+  },
+};
+
+describe('FakeJanus', function () {
+  let janus;
+  let session;
+  let plugin;
+
+  beforeEach(async function () {
+    janus = FakeJanus({ plugins: { 'janus.plugin.echotest': echoTest } });
+    session = Session({ keepaliveMs: 0 });
+    await janus.connect(session);
+    await session.create();
+    plugin = await session.attach('janus.plugin.echotest', { opaqueId: 'alice' });
+  });
+
+  afterEach(async function () {
+    session.stop();
+    await janus.disconnect();
+  });
+
+  it('creates sessions and attaches handles', function () {
+    expect(janus.sessions).to.have.key(String(session.id));
+    expect(janus.getHandle(plugin.id)).to.include({
+      sessionId: session.id, plugin: 'janus.plugin.echotest', opaqueId: 'alice',
+    });
+  });
+
+  it('rejects attaching to unknown plugins', async function () {
+    await expect(session.attach('janus.plugin.nonexistent'))
+      .to.be.rejectedWith(JanusError)
+      .and.eventually.include({ code: JanusError.codes.PLUGIN_NOT_FOUND });
+  });
+
+  it('replies synchronously with the data returned by the plugin', async function () {
+    const response = await plugin.sendRequest({ request: 'sync' });
+    expect(response).to.deep.equal({ echotest: 'response', handle: plugin.id });
+  });
+
+  it('acknowledges asynchronous requests, then pushes the event of the plugin', async function () {
+    const events = [];
+    plugin.onPluginData = (data) => events.push(data);
+    const response = await plugin.sendMessage({ request: 'async' });
+    expect(response.janus).to.equal('ack');
+
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+    expect(events).to.deep.equal([{ echotest: 'event', result: 'ok' }]);
+  });
+
+  it('resolves awaited events', async function () {
+    const response = await plugin.sendMessage({ request: 'async' }, undefined, { awaitEvent: true });
+    expect(response.janus).to.equal('event');
+    expect(response.plugindata.data).to.deep.equal({ echotest: 'event', result: 'ok' });
+  });
+
+  it('answers JSEP offers', async function () {
+    const response = await plugin.sendMessage({ request: 'async' }, { type: 'offer', sdp: 'v=0' });
+    expect(response.jsep).to.deep.equal(ANSWER);
+    expect(janus.getHandle(plugin.id).webrtc).to.equal(true);
+  });
+
+  it('rejects JSEP of unknown type', async function () {
+    await expect(plugin.sendMessage({ request: 'async' }, { type: 'bogus', sdp: 'v=0' }))
+      .to.be.rejectedWith(JanusError)
+      .and.eventually.include({ code: JanusError.codes.JSEP_UNKNOWN_TYPE });
+  });
+
+  it('replies with an error when the plugin throws', async function () {
+    await expect(plugin.sendRequest({ request: 'fail' }))
+      .to.be.rejectedWith(JanusError)
+      .and.eventually.include({ code: JanusError.codes.PLUGIN_MESSAGE, reason: 'Cannot do that' });
+  });
+
+  it('gives trickled candidates to the plugin', async function () {
+    await plugin.sendMessage({ request: 'async' }, { type: 'offer', sdp: 'v=0' });
+    await plugin.sendTrickle([{ candidate: 'a' }, { candidate: 'b' }]);
+    expect(janus.getHandle(plugin.id).state.candidates)
+      .to.deep.equal([{ candidate: 'a' }, { candidate: 'b' }]);
+  });
+
+  it('pushes hangup when hanging up a PeerConnection', async function () {
+    await plugin.sendMessage({ request: 'async' }, { type: 'offer', sdp: 'v=0' });
+    const hangup = new Promise((resolve) => plugin.once('hangup', resolve));
+    await plugin.hangup();
+    expect(await hangup).to.deep.equal({ reason: 'Janus API' });
+    expect(janus.getHandle(plugin.id).state.hungUp).to.equal(true);
+  });
+
+  it('pushes events on behalf of a handle', async function () {
+    const data = new Promise((resolve) => { plugin.onPluginData = resolve; });
+    janus.pushEvent(plugin.id, { echotest: 'event', result: 'done' });
+    expect(await data).to.deep.equal({ echotest: 'event', result: 'done' });
+  });
+
+  it('detaches handles', async function () {
+    const { id } = plugin;
+    await plugin.detach();
+    expect(plugin.attached).to.equal(false);
+    expect(janus.getHandle(id)).to.equal(undefined);
+  });
+
+  it('detaches handles on the server side', async function () {
+    const detached = new Promise((resolve) => plugin.once('detached', resolve));
+    janus.detachHandle(plugin.id);
+    await detached;
+    await expect(plugin.sendRequest({ request: 'sync' }))
+      .to.be.rejectedWith(JanusError)
+      .and.eventually.include({ code: JanusError.codes.HANDLE_NOT_FOUND });
+  });
+
+  it('times out sessions', async function () {
+    const destroyed = new Promise((resolve) => session.once('destroyed', resolve));
+    janus.timeoutSession(session.id);
+    expect(await destroyed).to.deep.equal({ reason: 'timeout' });
+    expect(plugin.attached).to.equal(false);
+    expect(janus.sessions).to.deep.equal({});
+  });
+
+  it('destroys sessions', async function () {
+    await session.destroy();
+    expect(janus.sessions).to.deep.equal({});
+    expect(janus.requests.map(({ janus: request }) => request))
+      .to.deep.equal(['create', 'attach', 'detach', 'destroy']);
+  });
+
+  it('replies with an error to requests for unknown sessions', async function () {
+    const error = new Promise((resolve) => janus.once('message', resolve));
+    janus.send({ janus: 'keepalive', session_id: 1234, transaction: 'abc' });
+    expect(await error).to.deep.equal({
+      janus: 'error',
+      session_id: 1234,
+      transaction: 'abc',
+      error: { code: JanusError.codes.SESSION_NOT_FOUND, reason: 'No such session 1234' },
+    });
+  });
+
+  describe('with several sessions', function () {
+    // A minimal VideoCall plugin, connecting calls between registered usernames.
+    function videoCall() {
+      const users = {};
+      return {
+        message({ body, jsep, respond }, handle) {
+          const { request, username } = body;
+          switch (request) {
+            case 'list':
+              respond({ videocall: 'event', result: { list: Object.keys(users) } });
+              return undefined;
+            case 'register':
+              users[username] = handle;
+              respond({ videocall: 'event', result: { event: 'registered', username } });
+              return undefined;
+            case 'call':
+              users[username].event({ videocall: 'event', result: { event: 'incomingcall', username: 'alice' } }, jsep);
+              respond({ videocall: 'event', result: { event: 'calling' } });
+              return undefined;
+            default:
+              return { videocall: 'event', error_code: 470, error: 'Unknown request' };
+          }
+        },
+      };
+    }
+
+    it('connects a call between two sessions', async function () {
+      const server = FakeJanus({ plugins: { 'janus.plugin.videocall': videoCall() } });
+      const mux = SessionMultiplexer();
+      await server.connect(mux);
+
+      const [alice, bob] = await Promise.all(['alice', 'bob'].map(async (username) => {
+        const client = mux.add(Session({ keepaliveMs: 0, transactionId: 'uuid' }));
+        await client.create();
+        const videoCallPlugin = VideoCallPlugin();
+        await client.attachPlugin(videoCallPlugin);
+        const registered = new Promise((resolve) => videoCallPlugin.once('registered', resolve));
+        await videoCallPlugin.register(username);
+        await registered;
+        return videoCallPlugin;
+      }));
+
+      expect(await alice.list()).to.have.members(['alice', 'bob']);
+
+      const incoming = new Promise((resolve) => bob.once('incoming_call', resolve));
+      await alice.call('bob', { type: 'offer', sdp: 'v=0' });
+      expect(await incoming).to.deep.include({
+        event: 'incomingcall', username: 'alice', jsep: { type: 'offer', sdp: 'v=0' },
+      });
+      expect(bob.peer).to.equal('alice');
+
+      mux.sessions.forEach((client) => client.stop());
+      await server.disconnect();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import { MinnieJanusError } from '../src/errors.js';
+import respond from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('plugin handles', function () {
+  let session;
+  let sent;
+  let videoRoom1;
+  let videoRoom2;
+  let streaming;
+
+  beforeEach(async function () {
+    let nextHandleId = 1;
+    session = Session();
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'attach') return undefined;
+      const id = nextHandleId;
+      nextHandleId += 1;
+      return { janus: 'success', data: { id } };
+    });
+    await session.create();
+    videoRoom1 = await session.attach('janus.plugin.videoroom', { opaqueId: 'alice' });
+    videoRoom2 = await session.attach('janus.plugin.videoroom', { opaqueId: 'bob', loopIndex: 2 });
+    streaming = await session.attach('janus.plugin.streaming', { opaqueId: 'alice' });
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('sends opaque_id and loop_index when attaching', function () {
+    const attaches = sent.filter((msg) => msg.janus === 'attach');
+    expect(attaches[0]).to.include({ opaque_id: 'alice' }).and.not.have.property('loop_index');
+    expect(attaches[1]).to.include({ opaque_id: 'bob', loop_index: 2 });
+  });
+
+  it('looks up a handle by ID', function () {
+    expect(session.getHandle(2)).to.equal(videoRoom2);
+    expect(session.getHandle('2')).to.equal(videoRoom2);
+    expect(session.getHandle(99)).to.equal(undefined);
+  });
+
+  it('lists handles by plugin name and opaque ID', function () {
+    expect(session.getHandles()).to.have.members([videoRoom1, videoRoom2, streaming]);
+    expect(session.getHandles({ name: 'janus.plugin.videoroom' }))
+      .to.have.members([videoRoom1, videoRoom2]);
+    expect(session.getHandles({ opaqueId: 'alice' })).to.have.members([videoRoom1, streaming]);
+    expect(session.getHandles({ name: 'janus.plugin.streaming', opaqueId: 'bob' })).to.deep.equal([]);
+  });
+
+  it('detaches a handle by ID', async function () {
+    await session.detachHandle(1);
+    expect(sent[sent.length - 1]).to.include({ janus: 'detach', handle_id: 1 });
+    expect(videoRoom1.attached).to.equal(false);
+    expect(session.getHandle(1)).to.equal(undefined);
+    expect(session.getHandles()).to.have.members([videoRoom2, streaming]);
+    await expect(session.detachHandle(1)).to.be.rejectedWith(MinnieJanusError);
+  });
+
+  it('detaches all handles, or those matching a filter', async function () {
+    await session.detachAll({ opaqueId: 'alice' });
+    expect(session.getHandles()).to.deep.equal([videoRoom2]);
+    await session.detachAll();
+    expect(session.getHandles()).to.deep.equal([]);
+    expect(sent.filter((msg) => msg.janus === 'detach')).to.have.lengthOf(3);
+  });
+});
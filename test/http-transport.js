@@ -0,0 +1,220 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+
+import Session from '../src/session-stamp.js';
+import HttpTransport from '../src/http-transport.js';
+import SessionMultiplexer from '../src/session-multiplexer.js';
+import { JanusError, TimeoutError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('HttpTransport', function () {
+  let server;
+  let requests;
+  let pendingEvents;
+  let nextSessionId;
+  let session;
+  let transport;
+
+  // A minimal imitation of the REST interface of Janus.
+  function handle(req, res, body) {
+    requests.push({ method: req.method, url: req.url, body });
+    const reply = (obj) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(obj));
+    };
+
+    if (req.method === 'GET' && req.url === '/janus/info') {
+      reply({ janus: 'server_info', name: 'Janus WebRTC Server' });
+    } else if (req.method === 'GET') {
+      // Long-poll: reply with all pending events, or with a keepalive after a short while.
+      const queue = pendingEvents; // Not the events of the next test
+      setTimeout(() => {
+        const events = queue.splice(0);
+        reply(events.length ? events : [{ janus: 'keepalive' }]);
+      }, 20);
+    } else if (body.janus === 'ping') {
+      // An event of a handle the client does not know
+      reply({ janus: 'event', session_id: 123, sender: 999 });
+    } else if (body.janus === 'claim') {
+      res.statusCode = 500;
+      res.end();
+    } else if (body.janus === 'create') {
+      reply({ janus: 'success', transaction: body.transaction, data: { id: nextSessionId } });
+      nextSessionId += 1;
+    } else if (body.janus === 'attach') {
+      reply({
+        janus: 'success', session_id: 123, transaction: body.transaction, data: { id: 456 },
+      });
+    } else if (body.janus === 'message') {
+      reply({ janus: 'ack', session_id: 123, transaction: body.transaction });
+      pendingEvents.push({
+        janus: 'event',
+        session_id: 123,
+        sender: 456,
+        transaction: body.transaction,
+        plugindata: { plugin: 'janus.plugin.echotest', data: { result: 'ok' } },
+        jsep: { type: 'answer', sdp: 'v=0' },
+      });
+    } else {
+      reply({ janus: 'success', session_id: 123, transaction: body.transaction });
+    }
+  }
+
+  beforeEach(async function () {
+    requests = [];
+    pendingEvents = [];
+    nextSessionId = 123;
+    server = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', (chunk) => { data += chunk; });
+      req.on('end', () => handle(req, res, data ? JSON.parse(data) : null));
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    session = Session();
+    transport = HttpTransport({ url: `http://localhost:${server.address().port}/janus/` });
+  });
+
+  afterEach(async function () {
+    session.stop();
+    await transport.close();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('requires a URL', function () {
+    expect(() => HttpTransport()).to.throw('requires a URL');
+  });
+
+  it('notifies the session when Janus is reachable', async function () {
+    await transport.connect(session);
+    expect(session.connected).to.equal(true);
+    expect(requests[0]).to.include({ method: 'GET', url: '/janus/info' });
+  });
+
+  it('POSTs session-less messages to the base URL', async function () {
+    await transport.connect(session);
+    await session.create();
+    expect(requests[1]).to.include({ method: 'POST', url: '/janus' });
+    expect(session.id).to.equal(123);
+  });
+
+  it('POSTs session and handle messages to their URLs without the IDs in the body', async function () {
+    await transport.connect(session);
+    await session.create();
+    await session.send({ janus: 'keepalive' });
+    await session.send({ janus: 'hangup', handle_id: 456 });
+
+    const posts = requests.filter(({ method }) => method === 'POST');
+    expect(posts[1].url).to.equal('/janus/123');
+    expect(posts[2].url).to.equal('/janus/123/456');
+    expect(posts[2].body).to.not.have.any.keys('session_id', 'handle_id');
+  });
+
+  it('long-polls for events with maxev after the session was created', async function () {
+    await transport.connect(session);
+    await session.create();
+    const response = await session.send({
+      janus: 'message', handle_id: 456, body: {}, jsep: { type: 'offer', sdp: 'v=0' },
+    });
+    expect(response.jsep.type).to.equal('answer');
+
+    const poll = requests.find(({ method, url }) => method === 'GET' && url.startsWith('/janus/123?'));
+    expect(poll.url).to.match(/maxev=10/);
+  });
+
+  it('adds token and apisecret to long-poll requests', async function () {
+    session = Session({ token: 'a b', apisecret: 'janusrocks' });
+    await transport.connect(session);
+    await session.create();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const poll = requests.find(({ method, url }) => method === 'GET' && url.startsWith('/janus/123?'));
+    expect(poll.url).to.match(/&token=a%20b&apisecret=janusrocks$/);
+  });
+
+  it('adds the credentials of each session of a SessionMultiplexer to its long-poll requests', async function () {
+    const mux = SessionMultiplexer();
+    const alice = mux.add(Session({ token: 'alice', transactionId: 'uuid' }));
+    const bob = mux.add(Session({ apisecret: 'bob', transactionId: 'uuid' }));
+    try {
+      await transport.connect(mux);
+      await alice.create();
+      await bob.create();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const polls = requests.filter(({ method }) => method === 'GET').map(({ url }) => url);
+      expect(polls.find((url) => url.startsWith('/janus/123?'))).to.match(/&token=alice$/);
+      expect(polls.find((url) => url.startsWith('/janus/124?'))).to.match(/&apisecret=bob$/);
+    } finally {
+      alice.stop();
+      bob.stop();
+    }
+  });
+
+  it('fails the transaction right away when a POST fails', async function () {
+    await transport.connect(session);
+    await session.create();
+    let err;
+    try {
+      await session.send({ janus: 'claim' }, { timeoutMs: 60000 });
+    } catch (e) {
+      err = e;
+    }
+    expect(err).to.be.an.instanceof(JanusError);
+    expect(err.code).to.equal(JanusError.codes.TRANSPORT_SPECIFIC);
+    expect(err.reason).to.match(/HTTP 500/);
+  });
+
+  describe('with messages which the session cannot handle', function () {
+    let errors;
+    let unhandled;
+    const onUnhandled = (reason) => unhandled.push(reason);
+
+    beforeEach(async function () {
+      errors = [];
+      unhandled = [];
+      process.on('unhandledRejection', onUnhandled);
+      transport = HttpTransport({
+        url: `http://localhost:${server.address().port}/janus/`,
+        logger: {
+          info() {}, warn() {}, debug() {}, error: (...args) => errors.push(args),
+        },
+      });
+      await transport.connect(session);
+      await session.create();
+    });
+
+    afterEach(function () {
+      process.off('unhandledRejection', onUnhandled);
+    });
+
+    it('keeps long-polling', async function () {
+      pendingEvents.push({ janus: 'event', session_id: 123, sender: 999 });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      const timedOut = new Promise((resolve) => session.once('timeout', resolve));
+      pendingEvents.push({ janus: 'timeout', session_id: 123 });
+      await timedOut;
+      expect(errors).to.have.lengthOf(1);
+      expect(unhandled).to.deep.equal([]);
+    });
+
+    it('logs the failure of the reply to a POST', async function () {
+      await expect(session.send({ janus: 'ping' }, { timeoutMs: 20 })).to.be.rejectedWith(TimeoutError);
+      expect(errors.map(([text]) => text)).to.deep.equal(["Sending 'ping' failed"]);
+      expect(unhandled).to.deep.equal([]);
+    });
+  });
+
+  it('stops long-polling when the session is destroyed', async function () {
+    await transport.connect(session);
+    await session.create();
+    await session.send({ janus: 'destroy' });
+    expect(Object.keys(transport.polls)).to.have.lengthOf(0);
+  });
+});
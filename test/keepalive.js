@@ -0,0 +1,92 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+describe('Keepalive', function () {
+  let session;
+  let keepalives;
+  let reply;
+
+  beforeEach(async function () {
+    keepalives = [];
+    reply = null; // Don't answer keepalives by default.
+
+    session = Session({ keepaliveMs: 10, timeoutMs: 10, keepaliveMaxMisses: 2 });
+    respond(session, (msg) => {
+      if (msg.janus !== 'keepalive') return undefined;
+      keepalives.push(msg);
+      return reply || [];
+    });
+    await session.create();
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('sends keepalives for the session', async function () {
+    reply = { janus: 'ack' };
+    await new Promise((resolve) => setTimeout(resolve, 35));
+    expect(keepalives.length).to.be.at.least(2);
+    expect(keepalives[0].session_id).to.equal(123);
+  });
+
+  it('counts missed keepalives', async function () {
+    const misses = await new Promise((resolve) => {
+      session.on('keepalive_timeout', ({ misses: m }) => { if (m === 2) resolve(m); });
+    });
+    expect(misses).to.equal(2);
+  });
+
+  it('emits connection_lost after the maximum number of missed keepalives', async function () {
+    const events = [];
+    session.on('keepalive_timeout', () => events.push('keepalive_timeout'));
+    await new Promise((resolve) => session.on('connection_lost', resolve));
+    expect(events).to.deep.equal(['keepalive_timeout', 'keepalive_timeout']);
+    expect(session.keepalive_misses).to.equal(0);
+  });
+
+  it('stops sending keepalives after the connection is lost', async function () {
+    await new Promise((resolve) => session.on('connection_lost', resolve));
+    const count = keepalives.length;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(keepalives.length).to.equal(count);
+  });
+
+  it('resets the count when a keepalive is answered', async function () {
+    await new Promise((resolve) => session.once('keepalive_timeout', resolve));
+    reply = { janus: 'ack' };
+    await new Promise((resolve) => setTimeout(resolve, 35));
+    expect(session.keepalive_misses).to.equal(0);
+  });
+
+  it('tears the session down when Janus does not know it', async function () {
+    reply = { janus: 'error', error: { code: 458, reason: 'No such session 123' } };
+    const events = [];
+    session.on('keepalive_timeout', () => events.push('keepalive_timeout'));
+    session.on('connection_lost', () => events.push('connection_lost'));
+    const { reason } = await new Promise((resolve) => session.on('destroyed', resolve));
+    expect(reason).to.equal('not_found');
+    expect(session.id).to.equal(null);
+
+    const count = keepalives.length;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(keepalives.length).to.equal(count);
+    expect(events).to.deep.equal([]);
+  });
+
+  it('emits timeout and stops sending keepalives when the server timed out the session', async function () {
+    reply = { janus: 'ack' };
+    const timedOut = new Promise((resolve) => session.on('timeout', resolve));
+    session.receive({ janus: 'timeout', session_id: 123 });
+    await timedOut;
+    const count = keepalives.length;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(keepalives.length).to.equal(count);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Answer the outgoing messages of a session synchronously, like Janus would.
+ *
+ * `handler` is called with each outgoing message and returns the reply, an array of replies (empty
+ * for no reply at all), or nothing. `transaction` and `session_id` are added to the replies.
+ * Messages for which `handler` returns nothing are answered with `success`, `create` and `attach`
+ * with an ID.
+ *
+ * @param {Session} session
+ * @param {Function} [handler]
+ * @returns {Object[]} All outgoing messages, in order
+ */
+export default function respond(session, handler = () => {}) {
+  const sent = [];
+  session.on('output', (msg) => {
+    sent.push(msg);
+    let replies = handler(msg);
+    if (!replies) {
+      replies = { janus: 'success' };
+      if (msg.janus === 'create') replies.data = { id: 123 };
+      if (msg.janus === 'attach') replies.data = { id: 456 };
+    }
+    [].concat(replies).forEach((reply) => {
+      session.receive({ session_id: session.id, transaction: msg.transaction, ...reply });
+    });
+  });
+  return sent;
+}
+
+/**
+ * Helpers for the tests of the client of a server-side plugin, attached by {@link respond} with
+ * handle ID 456.
+ *
+ * @param {String} plugin - Name of the server-side plugin, e.g. `janus.plugin.videoroom`
+ * @returns {Object} The functions `pluginData(data)` and `pluginEvent(data, jsep)`, building
+ * messages of the plugin, `push(session, data, jsep)`, giving an event to the session, and
+ * `pushResult(session, result, jsep)`, pushing `result` in an event like
+ * `{ videocall: 'event', result }`
+ */
+export function pluginFixtures(plugin) {
+  const pluginData = (data) => ({ sender: 456, plugindata: { plugin, data } });
+  const pluginEvent = (data, jsep) => ({ janus: 'event', ...pluginData(data), ...(jsep && { jsep }) });
+  const push = (session, data, jsep) => session.receive(pluginEvent(data, jsep));
+  const shortName = plugin.split('.').pop();
+  const pushResult = (session, result, jsep) => push(session, { [shortName]: 'event', result }, jsep);
+
+  return {
+    pluginData, pluginEvent, push, pushResult,
+  };
+}
+
+/**
+ * @param {Object[]} sent - Outgoing messages, as returned by {@link respond}
+ * @returns {Object} The body of the last outgoing message
+ */
+export function lastBody(sent) {
+  return sent[sent.length - 1].body;
+}
@@ -0,0 +1,50 @@
+/* eslint-disable import/extensions */
+
+import fs from 'fs';
+import path from 'path';
+import slugify from 'slugify';
+import WebSocket from 'ws';
+
+import WebSocketTransport from '../../src/websocket-transport.js';
+import RecordingTransport from '../../src/recording-transport.js';
+import ReplayTransport from '../../src/replay-transport.js';
+
+/**
+ * Connect `session` to Janus and record the conversation to a tape in `test/tapes`, named after
+ * the test. If Janus is not reachable, replay the tape instead.
+ *
+ * @param {Session} session - A Session or AdminClient
+ * @param {String[]} testNames - The titles of the test and its parent suites, outermost first
+ * @param {Object} [options={}]
+ * @param {String} [options.url=ws://localhost:8188]
+ * @param {String} [options.protocol=janus-protocol]
+ * @return {Promise<Function>} Resolves to an async function which disconnects the session, and
+ * writes the tape when recording.
+ */
+export default async function connectTape(session, testNames, {
+  url = 'ws://localhost:8188',
+  protocol = 'janus-protocol',
+} = {}) {
+  const directoryPath = testNames.slice(0, -1).map((name) => slugify(name)).join('/');
+  const tapeFilepath = `test/tapes/${directoryPath}/${slugify(testNames.slice(-1)[0])}.json`;
+
+  const recorder = RecordingTransport({
+    transport: WebSocketTransport({ url, protocol, WebSocket }),
+  });
+
+  try {
+    await recorder.connect(session);
+  } catch (e) {
+    await recorder.disconnect();
+    if (!fs.existsSync(tapeFilepath)) throw new Error(`Tape file ${tapeFilepath} not found.`);
+    const replayer = ReplayTransport({ tape: fs.readFileSync(tapeFilepath, 'utf8') });
+    await replayer.connect(session);
+    return () => replayer.disconnect();
+  }
+
+  return async () => {
+    await recorder.disconnect();
+    fs.mkdirSync(path.dirname(tapeFilepath), { recursive: true });
+    fs.writeFileSync(tapeFilepath, JSON.stringify(recorder.tape, null, 2));
+  };
+}
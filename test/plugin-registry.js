@@ -0,0 +1,104 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import BasePluginStamp from '../src/base-plugin-stamp.js';
+import GenericPlugin from '../src/generic-plugin.js';
+import VideoRoomPlugin from '../src/videoroom-plugin.js';
+import {
+  registerPlugin, unregisterPlugin, getPlugin, registeredPlugins,
+} from '../src/builtin-plugins.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+describe('plugin registry', function () {
+  let session;
+  let sent;
+
+  beforeEach(async function () {
+    session = Session({ getPlugin });
+    sent = respond(session, () => {});
+    await session.create();
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('registers the clients of the plugins shipped with Janus', function () {
+    expect(registeredPlugins()).to.include.members([
+      'janus.plugin.audiobridge',
+      'janus.plugin.recordplay',
+      'janus.plugin.sip',
+      'janus.plugin.streaming',
+      'janus.plugin.textroom',
+      'janus.plugin.videocall',
+      'janus.plugin.videoroom',
+    ]);
+    expect(getPlugin('janus.plugin.videoroom')).to.equal(VideoRoomPlugin);
+  });
+
+  it('attaches a registered client by name', async function () {
+    const plugin = await session.attach('janus.plugin.videoroom');
+    expect(plugin.room).to.equal(null); // A property of VideoRoomPlugin
+    expect(plugin.id).to.equal(456);
+    expect(plugin.logger).to.equal(session.logger);
+    expect(sent[1]).to.include({ janus: 'attach', plugin: 'janus.plugin.videoroom' });
+  });
+
+  it('attaches clients registered by third parties with options', async function () {
+    const EchoPlugin = BasePluginStamp.compose({
+      properties: { name: 'janus.plugin.echotest' },
+      initializers: [function ({ bitrate }) { this.bitrate = bitrate; }],
+    });
+    registerPlugin('janus.plugin.echotest', EchoPlugin);
+    try {
+      const plugin = await session.attach('janus.plugin.echotest', { bitrate: 1000 });
+      expect(plugin.bitrate).to.equal(1000);
+    } finally {
+      expect(unregisterPlugin('janus.plugin.echotest')).to.equal(true);
+    }
+    expect(getPlugin('janus.plugin.echotest')).to.equal(undefined);
+  });
+
+  it('attaches stamps and instances without registry', async function () {
+    const other = Session();
+    respond(other);
+    await other.create();
+    try {
+      const response = await other.attachPlugin(VideoRoomPlugin, { opaqueId: 'alice' });
+      const plugin = other.getHandle(response.data.id);
+      expect(plugin.room).to.equal(null);
+      expect(plugin.opaqueId).to.equal('alice');
+      expect(plugin.logger).to.equal(other.logger);
+
+      expect((await other.attach('janus.plugin.videoroom')).room).to.equal(undefined);
+    } finally {
+      other.stop();
+    }
+  });
+
+  describe('without a registered client', function () {
+    it('attaches a GenericPlugin emitting messages of the plugin', async function () {
+      const plugin = await session.attach('janus.plugin.nosip');
+      expect(sent[1]).to.include({ janus: 'attach', plugin: 'janus.plugin.nosip' });
+
+      let event;
+      plugin.on('plugin_data', (e) => { event = e; });
+      const msg = {
+        janus: 'event',
+        sender: 456,
+        plugindata: { plugin: 'janus.plugin.nosip', data: { result: 'ok' } },
+        jsep: { type: 'offer', sdp: 'o' },
+      };
+      session.receive(msg);
+      expect(event).to.deep.equal({ data: { result: 'ok' }, jsep: msg.jsep, msg });
+    });
+
+    it('requires a plugin name', function () {
+      expect(() => GenericPlugin()).to.throw('requires a plugin name');
+    });
+  });
+});
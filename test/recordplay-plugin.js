@@ -0,0 +1,94 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import RecordPlayPlugin from '../src/recordplay-plugin.js';
+import { PluginError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+const { expect } = chai;
+const { pluginData, pluginEvent, pushResult } = pluginFixtures('janus.plugin.recordplay');
+const answer = { type: 'answer', sdp: 'a' };
+
+describe('RecordPlayPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let statuses;
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'message') return undefined;
+      const { request } = msg.body;
+      if (request === 'list') {
+        return { janus: 'success', ...pluginData({ recordplay: 'list', list: [{ id: 1 }] }) };
+      }
+      if (request === 'update') return { janus: 'success', ...pluginData({ recordplay: 'ok' }) };
+      if (!msg.jsep) return { janus: 'ack' };
+      // Messages with JSEP are answered by an event of the plugin, like Janus does.
+      if (request === 'record') {
+        return [{ janus: 'ack' }, pluginEvent({ recordplay: 'event', result: { status: 'recording', id: 7 } }, answer)];
+      }
+      return [{ janus: 'ack' }, pluginEvent({ recordplay: 'event', result: { status: 'playing' } })];
+    });
+    await session.create();
+    plugin = RecordPlayPlugin();
+    await session.attachPlugin(plugin);
+
+    statuses = [];
+    plugin.on('status', (e) => statuses.push(e));
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('lists and updates recordings', async function () {
+    expect(await plugin.list()).to.deep.equal([{ id: 1 }]);
+    await plugin.update();
+    expect(lastBody(sent)).to.deep.equal({ request: 'update' });
+  });
+
+  it('records', async function () {
+    const response = await plugin.record('My recording', { type: 'offer', sdp: 'o' }, { filename: 'rec' });
+    expect(lastBody(sent)).to.deep.equal({ request: 'record', name: 'My recording', filename: 'rec' });
+    expect(response.jsep).to.deep.equal(answer);
+    expect(plugin.status).to.equal('recording');
+    expect(plugin.recording).to.equal(7);
+
+    await plugin.stop();
+    expect(lastBody(sent)).to.deep.equal({ request: 'stop' });
+    pushResult(session, { status: 'stopped', id: 7 });
+    expect(plugin.recording).to.equal(null);
+    expect(statuses).to.deep.equal([
+      { status: 'recording', id: 7, jsep: answer },
+      { status: 'stopped', id: 7, jsep: undefined },
+    ]);
+  });
+
+  it('plays', async function () {
+    const offer = { type: 'offer', sdp: 'o' };
+    await plugin.play(7);
+    expect(lastBody(sent)).to.deep.equal({ request: 'play', id: 7 });
+    pushResult(session, { status: 'preparing', id: 7 }, offer);
+    expect(statuses[0]).to.deep.equal({ status: 'preparing', id: 7, jsep: offer });
+
+    await plugin.start(answer);
+    expect(lastBody(sent)).to.deep.equal({ request: 'start' });
+    expect(plugin.status).to.equal('playing');
+    pushResult(session, { status: 'done' });
+    expect(plugin.recording).to.equal(null);
+  });
+
+  it('emits asynchronous errors', function () {
+    let error;
+    plugin.on('plugin_error', (err) => { error = err; });
+    session.receive({
+      janus: 'event', ...pluginData({ recordplay: 'event', error_code: 418, error: 'No such recording' }),
+    });
+    expect(error).to.be.an.instanceof(PluginError);
+    expect(error.code).to.equal(418);
+  });
+});
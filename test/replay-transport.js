@@ -0,0 +1,166 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import FakeJanus from '../src/fake-janus.js';
+import RecordingTransport from '../src/recording-transport.js';
+import ReplayTransport from '../src/replay-transport.js';
+import { TimeoutError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+function fakeJanus() {
+  return FakeJanus({
+    plugins: {
+      'janus.plugin.echotest': {
+        message({ body, respond }) {
+          if (body.request === 'sync') return { echotest: 'response', audio: body.audio };
+          respond({ echotest: 'event', result: 'ok' });
+          return undefined;
+        },
+      },
+    },
+  });
+}
+
+// Creates a session, attaches the echotest plugin and sends some requests.
+async function converse(session, audio = true) {
+  await session.create();
+  const plugin = await session.attach('janus.plugin.echotest');
+  const response = await plugin.sendRequest({ request: 'sync', audio });
+  const event = await plugin.sendMessage({ request: 'async' }, undefined, { awaitEvent: true });
+  await session.destroy();
+  return { response, event: event.plugindata.data };
+}
+
+describe('RecordingTransport and ReplayTransport', function () {
+  let lines;
+  let tape;
+  let recorded;
+
+  beforeEach(async function () {
+    lines = [];
+    const recorder = RecordingTransport({
+      transport: fakeJanus(),
+      output: { write: (line) => lines.push(line) },
+    });
+    const session = Session({ keepaliveMs: 0 });
+    await recorder.connect(session);
+    recorded = await converse(session);
+    await recorder.disconnect();
+    ({ tape } = recorder);
+  });
+
+  it('records outgoing and incoming messages', function () {
+    expect(tape.map(({ incoming, payload }) => [incoming, payload.janus])).to.deep.equal([
+      [false, 'create'], [true, 'success'],
+      [false, 'attach'], [true, 'success'],
+      [false, 'message'], [true, 'success'],
+      [false, 'message'], [true, 'ack'], [true, 'event'],
+      [false, 'detach'], [true, 'success'],
+      [false, 'destroy'], [true, 'detached'], [true, 'success'],
+    ]);
+  });
+
+  it('writes each entry as a line of JSON', function () {
+    expect(lines.map((line) => JSON.parse(line))).to.deep.equal(tape);
+  });
+
+  context('when replaying', function () {
+    let session;
+    let replayer;
+
+    function replay(recording, options = {}) {
+      replayer = ReplayTransport({ tape: recording, ...options });
+      return replayer.connect(session);
+    }
+
+    beforeEach(function () {
+      session = Session({ keepaliveMs: 0, timeoutMs: 50, transactionId: 'uuid' });
+    });
+
+    afterEach(async function () {
+      session.stop();
+      await replayer.disconnect();
+    });
+
+    it('replays the conversation, ignoring transaction IDs', async function () {
+      await replay(tape);
+      const finished = new Promise((resolve) => replayer.once('finished', resolve));
+      expect(await converse(session)).to.deep.equal(recorded);
+      await finished;
+      expect(replayer.report()).to.include({ finished: true, position: tape.length });
+      expect(replayer.report().divergences).to.deep.equal([]);
+    });
+
+    it('reads tapes written as lines of JSON', async function () {
+      await replay(lines.join(''));
+      expect(await converse(session)).to.deep.equal(recorded);
+    });
+
+    it('reads tapes written as a JSON array', async function () {
+      await replay(JSON.stringify(tape, null, 2));
+      expect(await converse(session)).to.deep.equal(recorded);
+    });
+
+    it('reports where the replay diverged', async function () {
+      await replay(tape);
+      const diverged = new Promise((resolve) => replayer.once('diverged', resolve));
+      await expect(converse(session, false)).to.be.rejectedWith(TimeoutError);
+
+      const divergence = await diverged;
+      expect(divergence).to.include({ position: 4 });
+      expect(divergence.differences).to.deep.equal([{ path: 'body.audio', expected: true, actual: false }]);
+      expect(replayer.report()).to.include({ finished: false, position: 4 });
+      expect(replayer.report().divergences).to.deep.equal([divergence]);
+    });
+
+    it('reports messages sent after the end of the tape', async function () {
+      await replay(tape.slice(0, 2));
+      await session.create();
+      await expect(session.send({ janus: 'claim' })).to.be.rejectedWith(TimeoutError);
+      expect(replayer.report().divergences[0]).to.include({ position: 2, expected: undefined });
+    });
+
+    it('acknowledges keepalives which are not on the tape', async function () {
+      await replay(tape);
+      await session.create();
+      expect((await session.send({ janus: 'keepalive' })).janus).to.equal('ack');
+      await session.attach('janus.plugin.echotest');
+      expect(replayer.report()).to.include({ position: 4 });
+    });
+
+    it('drops recorded keepalives from the tape', async function () {
+      const sessionId = tape[1].payload.data.id;
+      await replay([
+        ...tape.slice(0, 2),
+        { incoming: false, payload: { janus: 'keepalive', session_id: sessionId, transaction: 'k' } },
+        { incoming: true, payload: { janus: 'ack', session_id: sessionId, transaction: 'k' } },
+        ...tape.slice(2),
+      ]);
+      expect(await converse(session)).to.deep.equal(recorded);
+      expect(replayer.report()).to.include({ finished: true, length: tape.length });
+    });
+
+    it('keeps the entries sharing a transaction with a recorded keepalive', async function () {
+      const sessionId = tape[1].payload.data.id;
+      const { transaction } = tape[2].payload;
+      await replay([
+        ...tape.slice(0, 2),
+        { incoming: false, payload: { janus: 'keepalive', session_id: sessionId, transaction } },
+        { incoming: true, payload: { janus: 'ack', session_id: sessionId, transaction } },
+        ...tape.slice(2),
+      ]);
+      expect(await converse(session)).to.deep.equal(recorded);
+      expect(replayer.report()).to.include({ finished: true, length: tape.length });
+    });
+
+    it('ignores other properties when asked to', async function () {
+      await replay(tape, { ignoreKeys: ['transaction', 'session_id', 'handle_id', 'audio'] });
+      expect(await converse(session, false)).to.deep.equal(recorded);
+    });
+  });
+});
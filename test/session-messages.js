@@ -0,0 +1,110 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import BasePlugin from '../src/base-plugin-stamp.js';
+import { JanusError, SessionDestroyedError } from '../src/errors.js';
+import respond from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('Session-level messages', function () {
+  let session;
+  let plugin;
+  let answering;
+
+  beforeEach(async function () {
+    answering = true;
+    session = Session();
+    respond(session, () => (answering ? undefined : []));
+    await session.create();
+    plugin = BasePlugin.compose({ properties: { name: 'janus.plugin.echotest' } })();
+    await session.attachPlugin(plugin);
+    answering = false;
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  context('when Janus timed out the session', function () {
+    it('emits timeout and destroyed', function () {
+      const events = [];
+      session.on('timeout', () => events.push('timeout'));
+      session.on('destroyed', ({ reason }) => events.push(`destroyed ${reason}`));
+      session.receive({ janus: 'timeout', session_id: 123 });
+      expect(events).to.deep.equal(['timeout', 'destroyed timeout']);
+    });
+
+    it('rejects all outstanding transactions', async function () {
+      const response = session.send({ janus: 'keepalive' });
+      session.receive({ janus: 'timeout', session_id: 123 });
+      const err = await expect(response).to.be.rejectedWith(SessionDestroyedError);
+      expect(err.reason).to.equal('timeout');
+      expect(Object.keys(session.transactions)).to.have.lengthOf(0);
+    });
+
+    it('marks all plugins as detached', function () {
+      let detached = false;
+      plugin.on('detached', () => { detached = true; });
+      session.receive({ janus: 'timeout', session_id: 123 });
+      expect(plugin.attached).to.equal(false);
+      expect(detached).to.equal(true);
+    });
+
+    it('forgets the session ID', function () {
+      session.receive({ janus: 'timeout', session_id: 123 });
+      expect(session.id).to.equal(null);
+    });
+
+    it('ignores timeouts of other sessions', function () {
+      let timedOut = false;
+      session.on('timeout', () => { timedOut = true; });
+      session.receive({ janus: 'timeout', session_id: 789 });
+      expect(timedOut).to.equal(false);
+      expect(session.id).to.equal(123);
+    });
+  });
+
+  context('when Janus pushes an error', function () {
+    it('emits server_error', function () {
+      let error;
+      session.on('server_error', (err) => { error = err; });
+      session.receive({ janus: 'error', error: { code: 454, reason: 'Invalid JSON' } });
+      expect(error).to.be.an.instanceof(JanusError);
+      expect(error.code).to.equal(454);
+      expect(session.id).to.equal(123);
+    });
+
+    it('emits destroyed when Janus does not know the session', function () {
+      let reason;
+      session.on('destroyed', (details) => { reason = details.reason; });
+      session.receive({ janus: 'error', session_id: 123, error: { code: 458, reason: 'No such session 123' } });
+      expect(reason).to.equal('not_found');
+      expect(plugin.attached).to.equal(false);
+    });
+  });
+
+  context('when the session is destroyed by the client', function () {
+    it('emits destroyed', async function () {
+      answering = true;
+      let reason;
+      session.on('destroyed', (details) => { reason = details.reason; });
+      await session.destroy();
+      expect(reason).to.equal('destroy');
+      expect(session.id).to.equal(null);
+    });
+
+    it('does not detach plugins which are already detached', async function () {
+      answering = true;
+      session.receive({ janus: 'detached', sender: 456 });
+      const sent = [];
+      session.on('output', (msg) => sent.push(msg.janus));
+      await session.destroy();
+      expect(sent).to.deep.equal(['destroy']);
+    });
+  });
+});
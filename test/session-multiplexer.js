@@ -0,0 +1,164 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import BaseTransport from '../src/base-transport.js';
+import SessionMultiplexer from '../src/session-multiplexer.js';
+import { TimeoutError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+// A transport whose Janus answers `create` with a new session ID, and everything else with
+// success.
+const FakeTransport = BaseTransport.compose({
+  methods: {
+    async open() { this.opened(); },
+    async close() { this.closed({ requested: true }); },
+    send(msg) {
+      this.sent.push(msg);
+      if (this.silent) return;
+      if (msg.janus === 'create') {
+        this.nextSessionId += 1;
+        this.received({ janus: 'success', transaction: msg.transaction, data: { id: this.nextSessionId } });
+      } else {
+        this.received({ janus: 'success', transaction: msg.transaction, session_id: msg.session_id });
+      }
+    },
+  },
+  initializers: [function () {
+    this.sent = [];
+    this.silent = false;
+    this.nextSessionId = 100;
+  }],
+});
+
+describe('SessionMultiplexer', function () {
+  let transport;
+  let mux;
+  let sessions;
+
+  beforeEach(async function () {
+    mux = SessionMultiplexer();
+    transport = FakeTransport();
+    await transport.connect(mux);
+    sessions = [];
+  });
+
+  afterEach(function () {
+    sessions.forEach((session) => session.stop());
+  });
+
+  function addSession(options = { transactionId: 'uuid' }) {
+    const session = mux.add(Session({ keepaliveMs: 0, ...options }));
+    sessions.push(session);
+    return session;
+  }
+
+  it('notifies added sessions about the state of the transport', async function () {
+    const session = addSession();
+    expect(session.connected).to.equal(true);
+    await transport.disconnect();
+    expect(session.connected).to.equal(false);
+  });
+
+  it('routes replies to the session which sent the message', async function () {
+    const first = addSession();
+    const second = addSession();
+    await Promise.all([first.create(), second.create()]);
+    expect(first.id).to.equal(101);
+    expect(second.id).to.equal(102);
+
+    await first.send({ janus: 'keepalive' });
+    expect(transport.sent[transport.sent.length - 1].session_id).to.equal(101);
+  });
+
+  it('routes pushed messages by session_id', async function () {
+    const first = addSession();
+    const second = addSession();
+    await first.create();
+    await second.create();
+
+    const received = [];
+    first.on('timeout', () => received.push('first'));
+    second.on('timeout', () => received.push('second'));
+    transport.received({ janus: 'timeout', session_id: 102 });
+    expect(received).to.deep.equal(['second']);
+  });
+
+  it('keeps sessions with colliding counter transactions apart by session_id', async function () {
+    const first = addSession({ transactionId: 'counter' });
+    const second = addSession({ transactionId: 'counter' });
+    await first.create();
+    await second.create();
+
+    transport.silent = true;
+    const firstReply = first.send({ janus: 'info' });
+    const secondReply = second.send({ janus: 'info' });
+    const [a, b] = transport.sent.slice(-2);
+    expect(a.transaction).to.equal(b.transaction);
+
+    transport.received({ janus: 'success', transaction: b.transaction, session_id: 102 });
+    transport.received({ janus: 'success', transaction: a.transaction, session_id: 101 });
+    expect((await firstReply).session_id).to.equal(101);
+    expect((await secondReply).session_id).to.equal(102);
+  });
+
+  it('routes by session_id before transaction', async function () {
+    const first = addSession({ transactionId: 'counter' });
+    const second = addSession({ transactionId: 'counter' });
+    await second.create(); // Transaction 1 of the second session
+    await first.send({ janus: 'info' }); // Transaction 1 of the first session
+
+    transport.silent = true;
+    const created = first.create();
+    const keptAlive = second.send({ janus: 'keepalive' });
+    const [create, keepalive] = transport.sent.slice(-2);
+    expect(keepalive.transaction).to.equal(create.transaction);
+
+    transport.received({ janus: 'ack', transaction: keepalive.transaction, session_id: 101 });
+    transport.received({ janus: 'success', transaction: create.transaction, data: { id: 102 } });
+    expect((await keptAlive).janus).to.equal('ack');
+    await created;
+    expect(first.id).to.equal(102);
+  });
+
+  it('forgets the routes of transactions which timed out', async function () {
+    const first = addSession({ transactionId: 'uuid', timeoutMs: 10 });
+    const second = addSession();
+    await second.create();
+
+    transport.silent = true;
+    await expect(first.create()).to.be.rejectedWith(TimeoutError);
+    expect(Object.keys(mux.routes)).to.have.lengthOf(1);
+    second.send({ janus: 'keepalive' }, { timeoutMs: 10 }).catch(() => {});
+    expect(mux.routes).to.deep.equal({});
+  });
+
+  it('emits messages belonging to no session', function () {
+    let unrouted;
+    mux.on('unrouted', (msg) => { unrouted = msg; });
+    transport.received({ janus: 'timeout', session_id: 999 });
+    expect(unrouted).to.deep.equal({ janus: 'timeout', session_id: 999 });
+  });
+
+  it('stops routing to removed sessions', async function () {
+    const session = addSession();
+    await session.create();
+    mux.remove(session);
+    const count = transport.sent.length;
+    session.send({ janus: 'keepalive' }, { timeoutMs: 10 }).catch(() => {});
+    expect(transport.sent).to.have.lengthOf(count);
+    expect(mux.sessions).to.deep.equal([]);
+  });
+
+  it('forwards lost connections to the transport', function () {
+    const session = addSession();
+    let lost;
+    transport.connectionLost = (err) => { lost = err; };
+    session.emit('connection_lost', new Error('Keepalive failed'));
+    expect(lost.message).to.equal('Keepalive failed');
+  });
+});
@@ -5,14 +5,13 @@ import chai from 'chai';
 import Session from '../src/session-stamp.js';
 import BasePlugin from '../src/base-plugin-stamp.js';
 
-import MessageReplayer from './lib/message_replayer.js';
-import MessageReplayerWebsocket from './lib/message_replayer_websocket.js';
+import connectTape from './lib/tapes.js';
 
 const expect = chai.expect;
 
 describe('Session', function () {
   let session;
-  let messageReplayer;
+  let disconnect;
 
   function getParentNames(node, names = []) {
     names.unshift(node.title);
@@ -21,20 +20,15 @@ describe('Session', function () {
   }
 
   beforeEach(async function () {
-    messageReplayer = MessageReplayer.compose(MessageReplayerWebsocket)();
-
     session = Session();
 
-    messageReplayer.on('message', (msg) => session.receive(msg));
-    session.on('output', (msg) => messageReplayer.send(msg));
-
     const testNames = getParentNames(this.currentTest);
-    await messageReplayer.start(testNames);
+    disconnect = await connectTape(session, testNames);
   });
 
   afterEach(async function () {
     session.stop();
-    await messageReplayer.stop();
+    await disconnect();
   });
 
   describe('create', function () {
@@ -0,0 +1,186 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import SipPlugin from '../src/sip-plugin.js';
+import { PluginError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+const { expect } = chai;
+const { pluginEvent, pushResult } = pluginFixtures('janus.plugin.sip');
+
+describe('SipPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let states;
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'message') return undefined;
+      if (!msg.jsep) return { janus: 'ack' };
+      // Messages with JSEP are answered by an event of the plugin, like Janus does.
+      const result = msg.body.request === 'call'
+        ? { event: 'calling', call_id: 'c1' }
+        : { event: 'accepting' };
+      return [{ janus: 'ack' }, pluginEvent({ sip: 'event', result })];
+    });
+    await session.create();
+    plugin = SipPlugin();
+    await session.attachPlugin(plugin);
+
+    states = [];
+    plugin.on('registration_state', ({ state }) => states.push(`registration:${state}`));
+    plugin.on('call_state', ({ state }) => states.push(`call:${state}`));
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('registration', function () {
+    it('registers', async function () {
+      await plugin.register('sip:alice@example.com', { secret: 's' });
+      expect(lastBody(sent)).to.deep.equal({
+        request: 'register', username: 'sip:alice@example.com', secret: 's',
+      });
+      pushResult(session, { event: 'registering' });
+      pushResult(session, {
+        event: 'registered', username: 'alice', register_sent: true, master_id: 7,
+      });
+      expect(plugin.registration).to.equal('registered');
+      expect(plugin.username).to.equal('alice');
+      expect(plugin.masterId).to.equal(7);
+      expect(states).to.deep.equal(['registration:registering', 'registration:registered']);
+    });
+
+    it('reports failed registrations', function () {
+      let failure;
+      plugin.on('registration_state', ({ result }) => { failure = result; });
+      pushResult(session, { event: 'registering' });
+      pushResult(session, { event: 'registration_failed', code: 403, reason: 'Forbidden' });
+      expect(plugin.registration).to.equal('failed');
+      expect(failure).to.include({ code: 403, reason: 'Forbidden' });
+    });
+
+    it('registers helper lines', async function () {
+      await plugin.registerHelper(7, { username: 'sip:alice@example.com' });
+      expect(lastBody(sent)).to.deep.equal({
+        request: 'register', type: 'helper', master_id: 7, username: 'sip:alice@example.com',
+      });
+    });
+
+    it('unregisters', async function () {
+      pushResult(session, { event: 'registered', username: 'alice' });
+      await plugin.unregister();
+      expect(lastBody(sent)).to.deep.equal({ request: 'unregister' });
+      pushResult(session, { event: 'unregistering' });
+      pushResult(session, { event: 'unregistered', username: 'alice' });
+      expect(plugin.registration).to.equal('unregistered');
+      expect(plugin.username).to.equal(null);
+    });
+  });
+
+  describe('calls', function () {
+    const offer = { type: 'offer', sdp: 'o' };
+    const answer = { type: 'answer', sdp: 'a' };
+
+    it('places a call', async function () {
+      const response = await plugin.call('sip:bob@example.com', offer);
+      expect(lastBody(sent)).to.deep.equal({ request: 'call', uri: 'sip:bob@example.com' });
+      expect(sent[sent.length - 1].jsep).to.deep.equal(offer);
+      expect(response.plugindata.data.result).to.deep.equal({ event: 'calling', call_id: 'c1' });
+      expect(plugin.callState).to.equal('calling');
+      expect(plugin.callId).to.equal('c1');
+
+      pushResult(session, { event: 'ringing', call_id: 'c1' });
+      pushResult(session, { event: 'progress', username: 'sip:bob@example.com' }, answer);
+      let accepted;
+      plugin.on('call_state', ({ state, jsep }) => { if (state === 'in_call') accepted = jsep; });
+      pushResult(session, { event: 'accepted', username: 'sip:bob@example.com' }, answer);
+
+      expect(states).to.deep.equal(['call:calling', 'call:ringing', 'call:early_media', 'call:in_call']);
+      expect(accepted).to.deep.equal(answer);
+      expect(plugin.callId).to.equal('c1');
+      expect(plugin.peer).to.equal('sip:bob@example.com');
+    });
+
+    it('accepts an incoming call', async function () {
+      let incoming;
+      plugin.on('incoming_call', (e) => { incoming = e; });
+      pushResult(session, {
+        event: 'incomingcall', username: 'sip:bob@example.com', call_id: 'c2',
+      }, offer);
+      expect(plugin.callState).to.equal('incoming');
+      expect(incoming).to.deep.include({ username: 'sip:bob@example.com', jsep: offer });
+
+      await plugin.accept(answer);
+      expect(lastBody(sent)).to.deep.equal({ request: 'accept' });
+      expect(plugin.callState).to.equal('accepting');
+      pushResult(session, { event: 'accepted' });
+      expect(plugin.callState).to.equal('in_call');
+    });
+
+    it('declines an incoming call', async function () {
+      pushResult(session, { event: 'incomingcall', username: 'sip:bob@example.com' }, offer);
+      await plugin.decline({ code: 603 });
+      expect(lastBody(sent)).to.deep.equal({ request: 'decline', code: 603 });
+      pushResult(session, { event: 'declining', code: 603 });
+      pushResult(session, { event: 'hangup', code: 603, reason: 'Decline' });
+      expect(plugin.callState).to.equal('idle');
+      expect(plugin.peer).to.equal(null);
+    });
+
+    it('holds, resumes, sends DTMF, transfers, records and hangs up', async function () {
+      pushResult(session, { event: 'accepted', call_id: 'c3' });
+
+      await plugin.hold('inactive');
+      expect(lastBody(sent)).to.deep.equal({ request: 'hold', direction: 'inactive' });
+      pushResult(session, { event: 'holding' });
+      expect(plugin.callState).to.equal('on_hold');
+      await plugin.unhold();
+      pushResult(session, { event: 'resuming' });
+      expect(plugin.callState).to.equal('in_call');
+
+      await plugin.dtmfInfo('5', 200);
+      expect(lastBody(sent)).to.deep.equal({ request: 'dtmf_info', digit: '5', duration: 200 });
+      await plugin.transfer('sip:carol@example.com', 'c4');
+      expect(lastBody(sent)).to.deep.equal({ request: 'transfer', uri: 'sip:carol@example.com', replace: 'c4' });
+      await plugin.recording('start', { audio: true });
+      expect(lastBody(sent)).to.deep.equal({ request: 'recording', action: 'start', audio: true });
+
+      let hangup;
+      plugin.on('call_hangup', (e) => { hangup = e; });
+      await plugin.hangupCall();
+      expect(lastBody(sent)).to.deep.equal({ request: 'hangup' });
+      pushResult(session, { event: 'hangingup' });
+      pushResult(session, { event: 'hangup', code: 200, reason: 'BYE' });
+      expect(hangup).to.include({ code: 200, reason: 'BYE' });
+      expect(plugin.callState).to.equal('idle');
+      expect(plugin.callId).to.equal(null);
+    });
+
+    it('leaves the call state unchanged on other events', function () {
+      let info;
+      plugin.on('info', (e) => { info = e; });
+      pushResult(session, { event: 'accepted' });
+      pushResult(session, { event: 'info', sender: 'sip:bob@example.com', content: 'x' });
+      expect(info).to.include({ content: 'x' });
+      expect(states).to.deep.equal(['call:in_call']);
+    });
+  });
+
+  it('emits asynchronous errors', function () {
+    let error;
+    plugin.on('plugin_error', (err) => { error = err; });
+    session.receive({
+      janus: 'event',
+      sender: 456,
+      plugindata: { plugin: 'janus.plugin.sip', data: { sip: 'event', error_code: 446, error: 'Invalid URI' } },
+    });
+    expect(error).to.be.an.instanceof(PluginError);
+    expect(error.code).to.equal(446);
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import StreamingPlugin from '../src/streaming-plugin.js';
+import { PluginError, TimeoutError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+const { pluginData, push } = pluginFixtures('janus.plugin.streaming');
+
+describe('StreamingPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let handler;
+
+  beforeEach(async function () {
+    handler = () => {};
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => handler(msg));
+    await session.create();
+    plugin = StreamingPlugin();
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('mountpoints', function () {
+    beforeEach(function () {
+      handler = (msg) => {
+        const replies = {
+          list: { streaming: 'list', list: [{ id: 1 }] },
+          info: { streaming: 'info', info: { id: 1, name: 'Demo' } },
+          create: { streaming: 'created', stream: { id: 7 } },
+        };
+        return { janus: 'success', ...pluginData(replies[msg.body.request] || { streaming: 'ok' }) };
+      };
+    });
+
+    it('lists mountpoints and gets info', async function () {
+      expect(await plugin.list()).to.deep.equal([{ id: 1 }]);
+      expect((await plugin.info(1)).name).to.equal('Demo');
+    });
+
+    it('creates RTP, RTSP and file mountpoints', async function () {
+      const { id } = await plugin.createRtp({ media: [{ type: 'audio', mid: 'a', port: 5002 }] });
+      expect(id).to.equal(7);
+      expect(lastBody(sent)).to.deep.include({ request: 'create', type: 'rtp' });
+
+      await plugin.createRtsp('rtsp://camera/stream', { rtsp_user: 'u' });
+      expect(lastBody(sent)).to.deep.include({ type: 'rtsp', url: 'rtsp://camera/stream', rtsp_user: 'u' });
+
+      await plugin.createFile('/opt/music.opus');
+      expect(lastBody(sent)).to.deep.include({ type: 'ondemand', filename: '/opt/music.opus' });
+
+      await plugin.createFile('/opt/music.opus', { live: true });
+      expect(lastBody(sent)).to.deep.include({ type: 'live' });
+      expect(lastBody(sent)).to.not.have.property('live');
+    });
+
+    it('destroys, enables, disables and records mountpoints', async function () {
+      await plugin.destroy(7, { secret: 's' });
+      expect(lastBody(sent)).to.deep.equal({ secret: 's', request: 'destroy', id: 7 });
+      await plugin.enable(7);
+      expect(lastBody(sent)).to.deep.equal({ request: 'enable', id: 7 });
+      await plugin.disable(7);
+      expect(lastBody(sent)).to.deep.equal({ request: 'disable', id: 7 });
+      await plugin.recording('start', 7, { audio: 'a.mjr' });
+      expect(lastBody(sent)).to.deep.equal({
+        audio: 'a.mjr', request: 'recording', action: 'start', id: 7,
+      });
+    });
+  });
+
+  describe('watching', function () {
+    it('resolves watch() with the JSEP offer of Janus', async function () {
+      handler = (msg) => [
+        { janus: 'ack' },
+        {
+          janus: 'event',
+          ...pluginData({ streaming: 'event', result: { status: 'preparing' } }),
+          jsep: { type: 'offer', sdp: 'v=0' },
+          transaction: msg.transaction,
+        },
+      ];
+      const offer = await plugin.watch(1, { pin: '1234' });
+      expect(offer).to.deep.equal({ type: 'offer', sdp: 'v=0' });
+      expect(lastBody(sent)).to.deep.equal({ pin: '1234', request: 'watch', id: 1 });
+      expect(plugin.mountpoint).to.equal(1);
+      expect(plugin.status).to.equal('preparing');
+    });
+
+    it('rejects watch() when the plugin reports an error', async function () {
+      handler = () => [
+        { janus: 'ack' },
+        { janus: 'event', ...pluginData({ streaming: 'event', error_code: 455, error: 'No such mountpoint/stream 9' }) },
+      ];
+      const err = await expect(plugin.watch(9)).to.be.rejectedWith(PluginError);
+      expect(err.code).to.equal(455);
+    });
+
+    it('rejects watch() when no offer arrives in time', async function () {
+      handler = () => ({ janus: 'ack' });
+      await expect(plugin.watch(1)).to.be.rejectedWith(TimeoutError);
+    });
+
+    it('sends the JSEP answer with start()', async function () {
+      handler = (msg) => [
+        { janus: 'ack' },
+        {
+          janus: 'event',
+          ...pluginData({ streaming: 'event', result: { status: 'starting' } }),
+          transaction: msg.transaction,
+        },
+      ];
+      await plugin.start({ type: 'answer', sdp: 'v=0' });
+      expect(sent[sent.length - 1].jsep.type).to.equal('answer');
+    });
+
+    it('emits status events', function () {
+      const statuses = [];
+      plugin.on('status', ({ status }) => statuses.push(status));
+      push(session, { streaming: 'event', result: { status: 'started' } });
+      push(session, { streaming: 'event', result: { status: 'stopped' } });
+      expect(statuses).to.deep.equal(['started', 'stopped']);
+      expect(plugin.mountpoint).to.equal(null);
+    });
+
+    it('emits switched', function () {
+      let switched;
+      plugin.on('switched', (details) => { switched = details; });
+      push(session, { streaming: 'event', result: { switched: 'ok', id: 2 } });
+      expect(switched).to.deep.equal({ id: 2 });
+      expect(plugin.mountpoint).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import { EventEmitter } from 'events';
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import TextRoomPlugin from '../src/textroom-plugin.js';
+import { PluginError, TimeoutError, TransportClosedError } from '../src/errors.js';
+import respond, { pluginFixtures } from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+const { pluginData } = pluginFixtures('janus.plugin.textroom');
+
+// Stand-in for an RTCDataChannel whose peer is the TextRoom plugin.
+function FakeDataChannel(reply) {
+  const channel = new EventEmitter();
+  channel.sent = [];
+  channel.addEventListener = channel.on;
+  channel.removeEventListener = channel.off;
+  channel.push = (data) => channel.emit('message', { data: JSON.stringify(data) });
+  channel.send = (text) => {
+    const msg = JSON.parse(text);
+    channel.sent.push(msg);
+    const response = reply(msg);
+    if (response) channel.push({ transaction: msg.transaction, ...response });
+  };
+  return channel;
+}
+
+describe('TextRoomPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let channel;
+  let reply;
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => (msg.janus === 'message' ? { janus: 'ack' } : undefined));
+    await session.create();
+    plugin = TextRoomPlugin();
+    await session.attachPlugin(plugin);
+
+    reply = () => ({ textroom: 'success' });
+    channel = FakeDataChannel((msg) => reply(msg));
+    plugin.useDataChannel(channel);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('setup handshake', function () {
+    it('resolves with the offer of Janus and sends the answer', async function () {
+      const offer = { type: 'offer', sdp: 'o' };
+      const setup = plugin.setup();
+      expect(sent[sent.length - 1].body).to.deep.equal({ request: 'setup' });
+      const { transaction } = sent[sent.length - 1];
+      session.receive({
+        janus: 'event', transaction, ...pluginData({ textroom: 'event', result: 'ok' }), jsep: offer,
+      });
+      expect(await setup).to.deep.equal(offer);
+
+      plugin.ack({ type: 'answer', sdp: 'a' });
+      const msg = sent[sent.length - 1];
+      expect(msg.body).to.deep.equal({ request: 'ack' });
+      expect(msg.jsep).to.deep.equal({ type: 'answer', sdp: 'a' });
+    });
+
+    it('rejects with a PluginError', async function () {
+      const setup = plugin.setup();
+      const { transaction } = sent[sent.length - 1];
+      session.receive({
+        janus: 'event',
+        transaction,
+        ...pluginData({ textroom: 'event', error_code: 411, error: 'Already set up' }),
+      });
+      await expect(setup).to.be.rejectedWith(PluginError);
+    });
+  });
+
+  describe('requests over the data channel', function () {
+    it('sends requests with their own transaction and resolves with the reply', async function () {
+      reply = () => ({ textroom: 'success', participants: [{ username: 'bob' }] });
+      const response = await plugin.join(1234, 'alice', { display: 'Alice' });
+      expect(response.participants).to.deep.equal([{ username: 'bob' }]);
+      expect(channel.sent[0]).to.deep.equal({
+        textroom: 'join', room: 1234, username: 'alice', display: 'Alice', transaction: '1',
+      });
+
+      reply = () => ({ textroom: 'success', list: [{ room: 1234 }] });
+      expect(await plugin.list()).to.deep.equal([{ room: 1234 }]);
+      expect(channel.sent[1].transaction).to.equal('2');
+    });
+
+    it('sends messages, announcements, allowed and leave requests', async function () {
+      await plugin.message(1234, 'hi', { to: 'bob' });
+      await plugin.announcement(1234, 'news', { secret: 's' });
+      await plugin.allowed(1234, 'add', ['bob'], { secret: 's' });
+      await plugin.leave(1234);
+      expect(channel.sent.map(({ transaction, ...msg }) => msg)).to.deep.equal([
+        {
+          textroom: 'message', room: 1234, text: 'hi', to: 'bob',
+        },
+        {
+          textroom: 'announcement', room: 1234, text: 'news', secret: 's',
+        },
+        {
+          textroom: 'allowed', room: 1234, action: 'add', allowed: ['bob'], secret: 's',
+        },
+        { textroom: 'leave', room: 1234 },
+      ]);
+    });
+
+    it('does not wait for a reply to messages sent with ack: false', async function () {
+      reply = () => undefined;
+      await plugin.message(1234, 'hi', { ack: false });
+      expect(channel.sent[0].ack).to.equal(false);
+    });
+
+    it('matches replies arriving out of order', async function () {
+      reply = () => undefined;
+      const first = plugin.list();
+      const second = plugin.leave(1234);
+      channel.push({ textroom: 'success', transaction: '2' });
+      channel.push({ textroom: 'success', transaction: '1', list: [] });
+      expect(await second).to.deep.equal({ textroom: 'success', transaction: '2' });
+      expect(await first).to.deep.equal([]);
+    });
+
+    it('rejects with a PluginError', async function () {
+      reply = () => ({ textroom: 'error', error_code: 417, error: 'No such room' });
+      const err = await plugin.join(1, 'alice').catch((e) => e);
+      expect(err).to.be.an.instanceof(PluginError);
+      expect(err.code).to.equal(417);
+      expect(err.plugin).to.equal('janus.plugin.textroom');
+      expect(err.payload.textroom).to.equal('join');
+    });
+
+    it('rejects with a TimeoutError', async function () {
+      reply = () => undefined;
+      await expect(plugin.list()).to.be.rejectedWith(TimeoutError);
+    });
+
+    it('rejects when aborted', async function () {
+      reply = () => undefined;
+      const controller = new AbortController();
+      const request = plugin.sendData({ textroom: 'list' }, { signal: controller.signal });
+      controller.abort(new Error('Cancelled'));
+      await expect(request).to.be.rejectedWith('Cancelled');
+    });
+
+    it('rejects pending requests when the data channel closes', async function () {
+      reply = () => undefined;
+      const request = plugin.list();
+      channel.emit('close');
+      await expect(request).to.be.rejectedWith(TransportClosedError);
+    });
+
+    it('forgets requests which could not be sent', async function () {
+      channel.send = () => { throw new Error('InvalidStateError'); };
+      await expect(plugin.list()).to.be.rejectedWith('InvalidStateError');
+      expect(plugin.data_transactions).to.deep.equal({});
+    });
+
+    it('rejects without a data channel', async function () {
+      const other = TextRoomPlugin();
+      await session.attachPlugin(other);
+      await expect(other.list()).to.be.rejectedWith('No data channel');
+    });
+
+    it('releases the data channel when detached', async function () {
+      await plugin.detach();
+      expect(plugin.data_channel).to.equal(null);
+      expect(channel.listenerCount('message')).to.equal(0);
+    });
+  });
+
+  describe('events', function () {
+    it('decodes messages pushed by the plugin', function () {
+      const events = [];
+      ['message', 'announcement', 'participant_joined', 'participant_left', 'kicked', 'room_destroyed']
+        .forEach((name) => plugin.on(name, (e) => events.push([name, e])));
+
+      channel.push({
+        textroom: 'message', room: 1, from: 'bob', date: 'd', text: 'hi', whisper: true,
+      });
+      channel.push({
+        textroom: 'announcement', room: 1, date: 'd', text: 'news',
+      });
+      channel.push({
+        textroom: 'join', room: 1, username: 'carol', display: 'Carol',
+      });
+      channel.push({ textroom: 'leave', room: 1, username: 'carol' });
+      channel.push({ textroom: 'kicked', room: 1, username: 'bob' });
+      channel.push({ textroom: 'destroyed', room: 1 });
+
+      expect(events).to.deep.equal([
+        ['message', {
+          room: 1, from: 'bob', date: 'd', text: 'hi', whisper: true,
+        }],
+        ['announcement', { room: 1, date: 'd', text: 'news' }],
+        ['participant_joined', { room: 1, username: 'carol', display: 'Carol' }],
+        ['participant_left', { room: 1, username: 'carol' }],
+        ['kicked', { room: 1, username: 'bob' }],
+        ['room_destroyed', { room: 1 }],
+      ]);
+    });
+  });
+});
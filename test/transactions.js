@@ -0,0 +1,177 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import BasePlugin from '../src/base-plugin-stamp.js';
+import { PluginError, TimeoutError } from '../src/errors.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+
+describe('Transactions', function () {
+  let session;
+  let sent;
+
+  beforeEach(function () {
+    sent = [];
+    session = Session({ timeoutMs: 20 });
+    session.on('output', (msg) => sent.push(msg));
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('per-request timeout', function () {
+    it('overrides the timeout of the session', async function () {
+      const response = session.send({ janus: 'info' }, { timeoutMs: 60 });
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      session.receive({ janus: 'server_info', transaction: sent[0].transaction });
+      expect((await response).janus).to.equal('server_info');
+    });
+
+    it('rejects with a TimeoutError carrying the overridden timeout', async function () {
+      const err = await expect(session.send({ janus: 'info' }, { timeoutMs: 5 }))
+        .to.be.rejectedWith(TimeoutError);
+      expect(err.timeoutMs).to.equal(5);
+    });
+
+    it('is passed on by BasePlugin.sendMessage()', async function () {
+      const plugin = BasePlugin();
+      plugin.session = session;
+      const response = plugin.sendMessage({ request: 'slow' }, undefined, { timeoutMs: 60 });
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      session.receive({ janus: 'success', transaction: sent[0].transaction });
+      await response;
+    });
+  });
+
+  describe('cancellation', function () {
+    it('rejects with the abort reason and forgets the transaction', async function () {
+      const controller = new AbortController();
+      const response = session.send({ janus: 'info' }, { signal: controller.signal });
+      controller.abort(new Error('No longer needed'));
+      await expect(response).to.be.rejectedWith('No longer needed');
+      expect(Object.keys(session.transactions)).to.have.lengthOf(0);
+    });
+
+    it('does not send anything when already aborted', async function () {
+      const controller = new AbortController();
+      controller.abort();
+      await expect(session.send({ janus: 'info' }, { signal: controller.signal })).to.be.rejected;
+      expect(sent).to.have.lengthOf(0);
+    });
+
+    it('has no effect after the response arrived', async function () {
+      const controller = new AbortController();
+      const response = session.send({ janus: 'info' }, { signal: controller.signal });
+      session.receive({ janus: 'server_info', transaction: sent[0].transaction });
+      await response;
+      controller.abort();
+    });
+
+    it('is passed on by BasePlugin.sendMessage()', async function () {
+      const plugin = BasePlugin();
+      plugin.session = session;
+      const controller = new AbortController();
+      const response = plugin.sendMessage({ request: 'slow' }, undefined, { signal: controller.signal });
+      controller.abort(new Error('Cancelled'));
+      await expect(response).to.be.rejectedWith('Cancelled');
+    });
+  });
+
+  describe('transaction identifiers', function () {
+    function transactionsOf(options) {
+      const other = Session(options);
+      const transactions = [];
+      other.on('output', (msg) => transactions.push(msg.transaction));
+      other.send({ janus: 'info' }).catch(() => {});
+      other.send({ janus: 'info' }).catch(() => {});
+      other.rejectTransactions(() => new Error('Done'));
+      other.stop();
+      return transactions;
+    }
+
+    it('counts up by default', function () {
+      expect(transactionsOf()).to.deep.equal(['1', '2']);
+    });
+
+    it('can be random', function () {
+      const [first, second] = transactionsOf({ transactionId: 'random' });
+      expect(first).to.match(/^[0-9a-f]{24}$/);
+      expect(first).to.not.equal(second);
+    });
+
+    it('can be UUIDs', function () {
+      const [first, second] = transactionsOf({ transactionId: 'uuid' });
+      expect(first).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+      expect(first).to.not.equal(second);
+    });
+
+    it('can be generated by a function', function () {
+      let count = 0;
+      const transactionId = () => { count += 1; return `tx-${count}`; };
+      expect(transactionsOf({ transactionId })).to.deep.equal(['tx-1', 'tx-2']);
+    });
+
+    it('rejects unknown generators', function () {
+      expect(() => Session({ transactionId: 'sequential' })).to.throw('Unknown transactionId');
+    });
+  });
+
+  describe('awaiting the event of a plugin', function () {
+    let plugin;
+    let received;
+
+    beforeEach(function () {
+      received = [];
+      plugin = BasePlugin.compose({
+        methods: { onPluginData(data) { received.push(data); } },
+      })();
+      plugin.session = session;
+      plugin.id = 456;
+      session.plugins[456] = { instance: plugin, timeout_cleanup: null };
+    });
+
+    function event(data) {
+      return {
+        janus: 'event',
+        transaction: sent[0].transaction,
+        sender: 456,
+        plugindata: { plugin: 'janus.plugin.videoroom', data },
+      };
+    }
+
+    it('resolves with the event instead of the ack', async function () {
+      const response = plugin.sendMessage({ request: 'join' }, undefined, { awaitEvent: true });
+      session.receive({ janus: 'ack', transaction: sent[0].transaction });
+      session.receive(event({ videoroom: 'joined', room: 1234 }));
+      expect((await response).plugindata.data).to.deep.equal({ videoroom: 'joined', room: 1234 });
+      expect(received).to.deep.equal([{ videoroom: 'joined', room: 1234 }]);
+    });
+
+    it('resolves sendRequest() with the result of the plugin', async function () {
+      const response = plugin.sendRequest({ request: 'join' }, undefined, { awaitEvent: true });
+      session.receive({ janus: 'ack', transaction: sent[0].transaction });
+      session.receive(event({ videoroom: 'joined', room: 1234 }));
+      expect(await response).to.deep.equal({ videoroom: 'joined', room: 1234 });
+    });
+
+    it('rejects with a PluginError', async function () {
+      const response = plugin.sendMessage({ request: 'join' }, undefined, { awaitEvent: true });
+      session.receive({ janus: 'ack', transaction: sent[0].transaction });
+      session.receive(event({ videoroom: 'event', error_code: 426, error: 'No such room' }));
+      const err = await expect(response).to.be.rejectedWith(PluginError);
+      expect(err.code).to.equal(426);
+      expect(received).to.deep.equal([]);
+    });
+
+    it('resolves with the ack otherwise', async function () {
+      const response = plugin.sendMessage({ request: 'join' });
+      session.receive({ janus: 'ack', transaction: sent[0].transaction });
+      expect((await response).janus).to.equal('ack');
+    });
+  });
+});
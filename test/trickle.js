@@ -0,0 +1,110 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import BasePlugin from '../src/base-plugin-stamp.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+const EchotestPlugin = BasePlugin.compose({ properties: { name: 'janus.plugin.echotest' } });
+
+describe('trickling candidates', function () {
+  let session;
+  let sent;
+
+  const offer = { type: 'offer', sdp: 'o' };
+
+  function trickles() {
+    return sent.filter((msg) => msg.janus === 'trickle');
+  }
+
+  function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'message') return undefined;
+      return { janus: 'event', sender: 456, plugindata: { plugin: 'janus.plugin.echotest', data: {} } };
+    });
+    await session.create();
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('holds candidates back until attached and a JSEP has been sent', async function () {
+    const plugin = EchotestPlugin();
+    const first = plugin.sendTrickle({ candidate: 'c1' });
+    await session.attachPlugin(plugin);
+    const second = plugin.sendTrickle({ candidate: 'c2' });
+    expect(trickles()).to.deep.equal([]);
+
+    await plugin.sendJsep(offer);
+    expect(trickles()).to.have.lengthOf(1);
+    expect(trickles()[0].candidates).to.deep.equal([{ candidate: 'c1' }, { candidate: 'c2' }]);
+    expect(sent.indexOf(trickles()[0])).to.be.above(sent.findIndex((msg) => msg.jsep));
+    expect((await first).janus).to.equal('success');
+    expect(await second).to.deep.equal(await first);
+  });
+
+  describe('when ready', function () {
+    let plugin;
+
+    async function attach(options) {
+      plugin = EchotestPlugin(options);
+      await session.attachPlugin(plugin);
+      await plugin.sendJsep(offer);
+    }
+
+    it('sends each candidate right away by default', async function () {
+      await attach();
+      await plugin.sendTrickle({ candidate: 'c1' });
+      await plugin.sendTrickle({ candidate: 'c2' });
+      expect(trickles().map((msg) => msg.candidate)).to.deep.equal([
+        { candidate: 'c1' }, { candidate: 'c2' },
+      ]);
+    });
+
+    it('batches candidates within the window', async function () {
+      await attach({ trickleBatchMs: 10 });
+      plugin.sendTrickle({ candidate: 'c1' });
+      plugin.sendTrickle([{ candidate: 'c2' }, { candidate: 'c3' }]);
+      expect(trickles()).to.deep.equal([]);
+      await wait(20);
+      expect(trickles()).to.have.lengthOf(1);
+      expect(trickles()[0].candidates).to.have.lengthOf(3);
+    });
+
+    it('sends the end of candidates right away, with the candidates collected so far', async function () {
+      await attach({ trickleBatchMs: 1000 });
+      plugin.sendTrickle({ candidate: 'c1' });
+      await plugin.sendTrickle(null);
+      expect(trickles()[0].candidates).to.deep.equal([{ candidate: 'c1' }, { completed: true }]);
+    });
+
+    it('discards candidates on hangup, and holds back new ones until the next JSEP', async function () {
+      await attach({ trickleBatchMs: 1000 });
+      const discarded = plugin.sendTrickle({ candidate: 'c1' });
+      session.receive({ janus: 'hangup', sender: 456, reason: 'Close PC' });
+      expect(await discarded).to.equal(null);
+
+      plugin.sendTrickle({ completed: true });
+      expect(trickles()).to.deep.equal([]);
+      await plugin.sendJsep(offer);
+      expect(trickles()[0].candidate).to.deep.equal({ completed: true });
+    });
+
+    it('discards candidates on detach', async function () {
+      await attach({ trickleBatchMs: 1000 });
+      const discarded = plugin.sendTrickle({ candidate: 'c1' });
+      await plugin.detach();
+      expect(await discarded).to.equal(null);
+      expect(trickles()).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import VideoCallPlugin from '../src/videocall-plugin.js';
+import { PluginError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+const { expect } = chai;
+const { pluginEvent, pushResult } = pluginFixtures('janus.plugin.videocall');
+
+describe('VideoCallPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'message') return undefined;
+      if (msg.body.request === 'list') return [{ janus: 'ack' }, pluginEvent({ videocall: 'event', result: { list: ['alice', 'bob'] } })];
+      if (!msg.jsep) return { janus: 'ack' };
+      // Messages with JSEP are answered by an event of the plugin, like Janus does.
+      const results = { call: { event: 'calling' }, accept: { event: 'accepted', username: 'bob' } };
+      return [{ janus: 'ack' }, pluginEvent({ videocall: 'event', result: results[msg.body.request] || { event: 'set' } })];
+    });
+    await session.create();
+    plugin = VideoCallPlugin();
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('registers a username and lists usernames', async function () {
+    await plugin.register('alice');
+    expect(lastBody(sent)).to.deep.equal({ request: 'register', username: 'alice' });
+    pushResult(session, { event: 'registered', username: 'alice' });
+    expect(plugin.username).to.equal('alice');
+
+    let list;
+    plugin.on('list', (l) => { list = l; });
+    expect(await plugin.list()).to.deep.equal(['alice', 'bob']);
+    expect(lastBody(sent)).to.deep.equal({ request: 'list' });
+    expect(list).to.deep.equal(['alice', 'bob']);
+  });
+
+  it('places a call', async function () {
+    const offer = { type: 'offer', sdp: 'o' };
+    const answer = { type: 'answer', sdp: 'a' };
+    const events = [];
+    ['calling', 'accepted', 'call_hangup'].forEach((name) => plugin.on(name, (e) => events.push([name, e])));
+
+    const response = await plugin.call('bob', offer);
+    expect(lastBody(sent)).to.deep.equal({ request: 'call', username: 'bob' });
+    expect(sent[sent.length - 1].jsep).to.deep.equal(offer);
+    expect(response.plugindata.data.result).to.deep.equal({ event: 'calling' });
+    expect(events).to.have.lengthOf(1);
+    pushResult(session, { event: 'accepted', username: 'bob' }, answer);
+    expect(plugin.peer).to.equal('bob');
+
+    await plugin.hangupCall();
+    expect(lastBody(sent)).to.deep.equal({ request: 'hangup' });
+    pushResult(session, { event: 'hangup', username: 'bob', reason: 'We did the hangup' });
+    expect(plugin.peer).to.equal(null);
+
+    expect(events).to.deep.equal([
+      ['calling', { event: 'calling', jsep: undefined }],
+      ['accepted', { event: 'accepted', username: 'bob', jsep: answer }],
+      ['call_hangup', {
+        event: 'hangup', username: 'bob', reason: 'We did the hangup', jsep: undefined,
+      }],
+    ]);
+  });
+
+  it('accepts an incoming call and changes its settings', async function () {
+    let incoming;
+    plugin.on('incoming_call', (e) => { incoming = e; });
+    pushResult(session, { event: 'incomingcall', username: 'bob' }, { type: 'offer', sdp: 'o' });
+    expect(incoming.username).to.equal('bob');
+    expect(plugin.peer).to.equal('bob');
+
+    let accepted;
+    plugin.on('accepted', (e) => { accepted = e; });
+    await plugin.accept({ type: 'answer', sdp: 'a' });
+    expect(lastBody(sent)).to.deep.equal({ request: 'accept' });
+    expect(accepted).to.deep.equal({ event: 'accepted', username: 'bob', jsep: undefined });
+
+    await plugin.set({ bitrate: 128000, record: true, substream: 1 });
+    expect(lastBody(sent)).to.deep.equal({
+      request: 'set', bitrate: 128000, record: true, substream: 1,
+    });
+  });
+
+  it('emits asynchronous errors', function () {
+    let error;
+    plugin.on('plugin_error', (err) => { error = err; });
+    session.receive(pluginEvent({ videocall: 'event', error_code: 478, error: 'Username does not exist' }));
+    expect(error).to.be.an.instanceof(PluginError);
+    expect(error.code).to.equal(478);
+  });
+});
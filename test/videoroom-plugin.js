@@ -0,0 +1,175 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+
+import Session from '../src/session-stamp.js';
+import VideoRoomPlugin from '../src/videoroom-plugin.js';
+import { PluginError } from '../src/errors.js';
+import respond, { pluginFixtures, lastBody } from './lib/responder.js';
+
+chai.use(chaiAsPromised);
+const { expect } = chai;
+const { pluginData, pluginEvent, push } = pluginFixtures('janus.plugin.videoroom');
+
+describe('VideoRoomPlugin', function () {
+  let session;
+  let plugin;
+  let sent;
+  let handler;
+
+  beforeEach(async function () {
+    handler = () => {};
+    session = Session();
+    sent = respond(session, (msg) => handler(msg));
+    await session.create();
+    plugin = VideoRoomPlugin();
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  describe('synchronous requests', function () {
+    it('creates a room', async function () {
+      handler = () => ({ janus: 'success', ...pluginData({ videoroom: 'created', room: 1234 }) });
+      const { room } = await plugin.create({ description: 'Demo', publishers: 6 });
+      expect(room).to.equal(1234);
+      expect(lastBody(sent)).to.deep.equal({ description: 'Demo', publishers: 6, request: 'create' });
+    });
+
+    it('checks whether a room exists', async function () {
+      handler = () => ({ janus: 'success', ...pluginData({ videoroom: 'success', room: 1234, exists: true }) });
+      expect(await plugin.exists(1234)).to.equal(true);
+      expect(lastBody(sent)).to.deep.equal({ request: 'exists', room: 1234 });
+    });
+
+    it('lists rooms and participants', async function () {
+      handler = (msg) => ({
+        janus: 'success',
+        ...pluginData(msg.body.request === 'list'
+          ? { videoroom: 'success', list: [{ room: 1234 }] }
+          : { videoroom: 'participants', room: 1234, participants: [{ id: 1 }] }),
+      });
+      expect(await plugin.list()).to.deep.equal([{ room: 1234 }]);
+      expect(await plugin.listParticipants(1234)).to.deep.equal([{ id: 1 }]);
+    });
+
+    it('kicks and moderates participants', async function () {
+      handler = () => ({ janus: 'success', ...pluginData({ videoroom: 'success' }) });
+      await plugin.kick(1234, 1, { secret: 's' });
+      expect(lastBody(sent)).to.deep.equal({
+        secret: 's', request: 'kick', room: 1234, id: 1,
+      });
+      await plugin.moderate(1234, 1, '0', true);
+      expect(lastBody(sent)).to.deep.equal({
+        request: 'moderate', room: 1234, id: 1, mid: '0', mute: true,
+      });
+    });
+
+    it('rejects with a PluginError on errors of the plugin', async function () {
+      handler = () => ({
+        janus: 'success',
+        ...pluginData({ videoroom: 'event', error_code: 426, error: 'No such room (1234)' }),
+      });
+      const err = await expect(plugin.destroy(1234)).to.be.rejectedWith(PluginError);
+      expect(err.code).to.equal(426);
+    });
+  });
+
+  describe('asynchronous requests', function () {
+    it('joins as publisher and emits joined and publishers', async function () {
+      const events = {};
+      plugin.on('joined', (data) => { events.joined = data; });
+      plugin.on('publishers', (publishers) => { events.publishers = publishers; });
+
+      const joined = {
+        videoroom: 'joined', room: 1234, id: 1, private_id: 99, publishers: [{ id: 2 }],
+      };
+      handler = () => [{ janus: 'ack' }, pluginEvent(joined)];
+      const response = await plugin.joinAsPublisher(1234, { display: 'Alice' });
+      expect(lastBody(sent)).to.deep.equal({
+        display: 'Alice', request: 'join', ptype: 'publisher', room: 1234,
+      });
+      expect(response.janus).to.equal('event');
+      expect(response.plugindata.data).to.deep.equal(joined);
+      expect(events.joined.id).to.equal(1);
+      expect(events.publishers).to.deep.equal([{ id: 2 }]);
+      expect(plugin).to.include({ room: 1234, participantId: 1, privateId: 99 });
+    });
+
+    it('joins as subscriber and emits subscribed with the JSEP offer', async function () {
+      let subscribed;
+      plugin.on('subscribed', (details) => { subscribed = details; });
+      const attached = { videoroom: 'attached', room: 1234, streams: [{ mid: '0', feed_id: 2 }] };
+      handler = () => [{ janus: 'ack' }, pluginEvent(attached, { type: 'offer', sdp: 'v=0' })];
+      const response = await plugin.joinAsSubscriber(1234, [{ feed: 2 }], { private_id: 99 });
+      expect(lastBody(sent)).to.deep.equal({
+        private_id: 99, request: 'join', ptype: 'subscriber', room: 1234, streams: [{ feed: 2 }],
+      });
+      expect(response.plugindata.data).to.deep.equal(attached);
+      expect(response.jsep.type).to.equal('offer');
+      expect(subscribed.jsep.type).to.equal('offer');
+      expect(subscribed.streams).to.have.lengthOf(1);
+    });
+
+    it('publishes and resolves with the JSEP answer', async function () {
+      handler = (msg) => [
+        { janus: 'ack' },
+        {
+          janus: 'event',
+          ...pluginData({ videoroom: 'event', room: 1234, configured: 'ok' }),
+          jsep: { type: 'answer', sdp: 'v=0' },
+          transaction: msg.transaction,
+        },
+      ];
+      const response = await plugin.publish({ type: 'offer', sdp: 'v=0' }, { bitrate: 128000 });
+      expect(response.jsep.type).to.equal('answer');
+      expect(lastBody(sent)).to.deep.equal({ bitrate: 128000, request: 'publish' });
+    });
+
+    it('updates subscriptions', async function () {
+      handler = () => ({ janus: 'ack' });
+      await plugin.update({ subscribe: [{ feed: 3 }] });
+      expect(lastBody(sent)).to.deep.equal({ request: 'update', subscribe: [{ feed: 3 }] });
+    });
+  });
+
+  describe('events', function () {
+    it('emits unpublished, leaving and kicked', function () {
+      const events = [];
+      ['unpublished', 'leaving', 'kicked'].forEach((name) => plugin.on(name, (id) => events.push([name, id])));
+      push(session, { videoroom: 'event', room: 1234, unpublished: 2 });
+      push(session, { videoroom: 'event', room: 1234, leaving: 2 });
+      push(session, { videoroom: 'event', room: 1234, kicked: 3 });
+      expect(events).to.deep.equal([['unpublished', 2], ['leaving', 2], ['kicked', 3]]);
+    });
+
+    it('emits talking', function () {
+      const events = [];
+      plugin.on('talking', (details) => events.push(details));
+      push(session, {
+        videoroom: 'talking', room: 1234, id: 2, 'audio-level-dBov-avg': 30,
+      });
+      push(session, { videoroom: 'stopped-talking', room: 1234, id: 2 });
+      expect(events.map(({ talking }) => talking)).to.deep.equal([true, false]);
+      expect(events[0]).to.include({ id: 2, audioLevel: 30 });
+    });
+
+    it('emits plugin_error for asynchronous errors', function () {
+      let error;
+      plugin.on('plugin_error', (err) => { error = err; });
+      push(session, { videoroom: 'event', error_code: 432, error: 'Maximum number of publishers reached' });
+      expect(error).to.be.an.instanceof(PluginError);
+      expect(error.code).to.equal(432);
+    });
+
+    it('emits room_destroyed', function () {
+      let destroyed;
+      plugin.on('room_destroyed', (details) => { destroyed = details; });
+      push(session, { videoroom: 'destroyed', room: 1234 });
+      expect(destroyed).to.deep.equal({ room: 1234 });
+    });
+  });
+});
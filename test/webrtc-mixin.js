@@ -0,0 +1,244 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions, class-methods-use-this */
+
+import { EventEmitter } from 'events';
+
+import chai from 'chai';
+
+import Session from '../src/session-stamp.js';
+import BasePluginStamp from '../src/base-plugin-stamp.js';
+import WebRtcMixin from '../src/webrtc-mixin.js';
+import respond from './lib/responder.js';
+
+const { expect } = chai;
+
+// Stand-in for RTCPeerConnection, recording what the mixin does with it.
+class FakePeerConnection extends EventEmitter {
+  constructor(configuration) {
+    super();
+    this.configuration = configuration;
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.candidates = [];
+    this.offerOptions = [];
+    this.closed = false;
+  }
+
+  addEventListener(type, fn) { this.on(type, fn); }
+
+  async createOffer(options) {
+    this.offerOptions.push(options);
+    return { type: 'offer', sdp: `offer-${this.offerOptions.length}` };
+  }
+
+  async createAnswer() { return { type: 'answer', sdp: 'answer' }; }
+
+  async setLocalDescription(description) { this.localDescription = description; }
+
+  async setRemoteDescription(description) { this.remoteDescription = description; }
+
+  async addIceCandidate(candidate) { this.candidates.push(candidate); }
+
+  close() { this.closed = true; }
+}
+
+const Plugin = BasePluginStamp
+  .compose({
+    properties: { name: 'janus.plugin.echotest' },
+    methods: {
+      onPluginData(data, jsep) { this.emit('plugin_data', { data, jsep }); },
+    },
+  })
+  .compose(WebRtcMixin);
+
+describe('WebRtcMixin', function () {
+  let session;
+  let plugin;
+  let sent;
+
+  function tick() {
+    return new Promise((resolve) => setImmediate(resolve));
+  }
+
+  beforeEach(async function () {
+    session = Session({ timeoutMs: 50 });
+    sent = respond(session, (msg) => {
+      if (msg.janus !== 'message' || !msg.jsep) return undefined;
+      // Janus answers offers with an event carrying its answer.
+      const jsep = msg.jsep.type === 'offer' ? { type: 'answer', sdp: 'janus-answer' } : undefined;
+      return {
+        janus: 'event',
+        sender: 456,
+        plugindata: { plugin: 'janus.plugin.echotest', data: { result: 'ok' } },
+        jsep,
+      };
+    });
+    await session.create();
+    plugin = Plugin({
+      RTCPeerConnection: FakePeerConnection,
+      rtcConfiguration: { iceServers: [] },
+    });
+    await session.attachPlugin(plugin);
+  });
+
+  afterEach(function () {
+    session.stop();
+  });
+
+  it('creates one PeerConnection with the configuration', function () {
+    const pc = plugin.createPeerConnection();
+    expect(pc).to.be.an.instanceof(FakePeerConnection);
+    expect(pc.configuration).to.deep.equal({ iceServers: [] });
+    expect(plugin.createPeerConnection()).to.equal(pc);
+  });
+
+  it('sends an offer and applies the answer of Janus', async function () {
+    const response = await plugin.sendOffer({ audio: true });
+    const msg = sent[sent.length - 1];
+    expect(msg.body).to.deep.equal({ audio: true });
+    expect(msg.jsep).to.deep.equal({ type: 'offer', sdp: 'offer-1' });
+    expect(plugin.peerConnection.localDescription.sdp).to.equal('offer-1');
+    expect(plugin.peerConnection.remoteDescription).to.deep.equal(response.jsep);
+  });
+
+  it('renegotiates and restarts ICE on the same PeerConnection', async function () {
+    await plugin.sendOffer();
+    const pc = plugin.peerConnection;
+    await plugin.sendOffer({ request: 'configure' });
+    await plugin.restartIce();
+    expect(plugin.peerConnection).to.equal(pc);
+    expect(pc.offerOptions.map((o) => o.iceRestart)).to.deep.equal([false, false, true]);
+    expect(sent[sent.length - 1].jsep.sdp).to.equal('offer-3');
+  });
+
+  it('answers an offer of Janus', async function () {
+    const offer = { type: 'offer', sdp: 'janus-offer' };
+    await plugin.sendAnswer(offer, { request: 'start' });
+    const msg = sent[sent.length - 1];
+    expect(msg.body).to.deep.equal({ request: 'start' });
+    expect(msg.jsep).to.deep.equal({ type: 'answer', sdp: 'answer' });
+    expect(plugin.peerConnection.remoteDescription).to.deep.equal(offer);
+  });
+
+  describe('with offers pushed by Janus', function () {
+    const offer = { type: 'offer', sdp: 'janus-offer' };
+
+    function pushOffer(transaction) {
+      session.receive({
+        janus: 'event',
+        sender: 456,
+        transaction,
+        plugindata: { plugin: 'janus.plugin.echotest', data: { result: 'updated' } },
+        jsep: offer,
+      });
+    }
+
+    async function settle() {
+      for (let i = 0; i < 5; i += 1) await tick(); // eslint-disable-line no-await-in-loop
+    }
+
+    it('answers them', async function () {
+      const events = [];
+      plugin.on('plugin_data', ({ data }) => events.push(data.result));
+      pushOffer();
+      await settle();
+      // The plugin still handles the event.
+      expect(events[0]).to.equal('updated');
+      expect(plugin.peerConnection.remoteDescription).to.deep.equal(offer);
+      expect(plugin.peerConnection.localDescription).to.deep.equal({ type: 'answer', sdp: 'answer' });
+      const msg = sent[sent.length - 1];
+      expect(msg.body).to.deep.equal({});
+      expect(msg.jsep).to.deep.equal({ type: 'answer', sdp: 'answer' });
+    });
+
+    it('answers them with the body of the option', async function () {
+      plugin = Plugin({ RTCPeerConnection: FakePeerConnection, autoAnswer: { request: 'start' } });
+      await session.attachPlugin(plugin);
+      pushOffer();
+      await settle();
+      expect(sent[sent.length - 1].body).to.deep.equal({ request: 'start' });
+      expect(sent[sent.length - 1].jsep.type).to.equal('answer');
+    });
+
+    it('leaves them to the application without the option', async function () {
+      plugin = Plugin({ RTCPeerConnection: FakePeerConnection, autoAnswer: false });
+      await session.attachPlugin(plugin);
+      const count = sent.length;
+      pushOffer();
+      await settle();
+      expect(sent).to.have.lengthOf(count);
+      expect(plugin.peerConnection).to.equal(null);
+    });
+
+    it('leaves offers replying to requests to the application', async function () {
+      const count = sent.length;
+      pushOffer('unknown');
+      await settle();
+      expect(sent).to.have.lengthOf(count);
+      expect(plugin.peerConnection).to.equal(null);
+    });
+  });
+
+  it('trickles local candidates after the offer, and the end of candidates', async function () {
+    const pc = plugin.createPeerConnection();
+    pc.emit('icecandidate', {
+      candidate: { candidate: 'candidate:1', sdpMid: '0', sdpMLineIndex: 0 },
+    });
+    pc.emit('icecandidate', {
+      candidate: { toJSON: () => ({ candidate: 'candidate:2', sdpMid: '1' }) },
+    });
+    await plugin.sendOffer();
+    pc.emit('icecandidate', { candidate: null });
+    const trickles = sent.filter((msg) => msg.janus === 'trickle');
+    expect(trickles).to.have.lengthOf(2);
+    expect(trickles[0].candidates).to.deep.equal([
+      { candidate: 'candidate:1', sdpMid: '0', sdpMLineIndex: 0 },
+      { candidate: 'candidate:2', sdpMid: '1' },
+    ]);
+    expect(trickles[1].candidate).to.deep.equal({ completed: true });
+  });
+
+  it('adds candidates trickled by Janus once the remote description is set', async function () {
+    const pc = plugin.createPeerConnection();
+    session.receive({ janus: 'trickle', sender: 456, candidate: { candidate: 'c1', sdpMid: '0' } });
+    await tick();
+    expect(pc.candidates).to.deep.equal([]);
+
+    await plugin.sendAnswer({ type: 'offer', sdp: 'janus-offer' });
+    session.receive({ janus: 'trickle', sender: 456, candidate: { completed: true } });
+    await tick();
+    expect(pc.candidates).to.deep.equal([{ candidate: 'c1', sdpMid: '0' }, null]);
+  });
+
+  it('emits remote tracks and connection states', function () {
+    const pc = plugin.createPeerConnection();
+    const events = [];
+    plugin.on('track', (e) => events.push(e.track));
+    plugin.on('connection_state', (state) => events.push(state));
+    pc.emit('track', { track: 'audio' });
+    pc.connectionState = 'connected';
+    pc.emit('connectionstatechange');
+    expect(events).to.deep.equal(['audio', 'connected']);
+  });
+
+  it('closes the PeerConnection when Janus hangs up', async function () {
+    await plugin.sendOffer();
+    const pc = plugin.peerConnection;
+    let closed = false;
+    plugin.on('peer_connection_closed', () => { closed = true; });
+    session.receive({ janus: 'hangup', sender: 456, reason: 'DTLS alert' });
+    expect(pc.closed).to.equal(true);
+    expect(closed).to.equal(true);
+    expect(plugin.peerConnection).to.equal(null);
+  });
+
+  it('closes the PeerConnection when detached', async function () {
+    const pc = plugin.createPeerConnection();
+    await plugin.detach();
+    expect(pc.closed).to.equal(true);
+  });
+
+  it('requires an RTCPeerConnection implementation', function () {
+    const other = Plugin({ RTCPeerConnection: null });
+    expect(() => other.createPeerConnection()).to.throw('No RTCPeerConnection');
+  });
+});
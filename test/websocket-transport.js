@@ -0,0 +1,173 @@
+/* eslint-disable prefer-arrow-callback, func-names, import/extensions */
+
+import chai from 'chai';
+import WebSocket, { WebSocketServer } from 'ws';
+
+import Session from '../src/session-stamp.js';
+import BasePlugin from '../src/base-plugin-stamp.js';
+import WebSocketTransport from '../src/websocket-transport.js';
+
+const { expect } = chai;
+
+describe('WebSocketTransport', function () {
+  let server;
+  let serverSocket;
+  let session;
+  let transport;
+
+  beforeEach(async function () {
+    server = new WebSocketServer({ port: 0 });
+    await new Promise((resolve) => server.on('listening', resolve));
+    server.on('connection', (socket) => { serverSocket = socket; });
+
+    session = Session();
+    transport = WebSocketTransport({
+      url: `ws://localhost:${server.address().port}`,
+      WebSocket,
+    });
+  });
+
+  afterEach(async function () {
+    session.stop();
+    await transport.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('requires a URL', function () {
+    expect(() => WebSocketTransport({ WebSocket })).to.throw('requires a URL');
+  });
+
+  it('uses the janus-protocol subprotocol', async function () {
+    await transport.connect(session);
+    expect(serverSocket.protocol).to.equal('janus-protocol');
+  });
+
+  it('notifies the session when the connection opens', async function () {
+    await transport.connect(session);
+    expect(session.connected).to.equal(true);
+  });
+
+  it('sends outgoing messages of the session as JSON', async function () {
+    await transport.connect(session);
+    const received = new Promise((resolve) => serverSocket.on('message', (data) => resolve(JSON.parse(data))));
+    session.create();
+    expect((await received).janus).to.equal('create');
+  });
+
+  it('gives parsed incoming messages to the session', async function () {
+    await transport.connect(session);
+    serverSocket.on('message', (data) => {
+      const { transaction } = JSON.parse(data);
+      serverSocket.send(JSON.stringify({ janus: 'success', transaction, data: { id: 123 } }));
+    });
+    await session.create();
+    expect(session.id).to.equal(123);
+  });
+
+  it('notifies the session when the server closes the connection', async function () {
+    await transport.connect(session);
+    const closed = new Promise((resolve) => session.on('transport_close', resolve));
+    serverSocket.close(1001, 'going away');
+    const details = await closed;
+    expect(session.connected).to.equal(false);
+    expect(details).to.include({ code: 1001, reason: 'going away', requested: false });
+  });
+
+  it('rejects when the connection cannot be opened', async function () {
+    const unreachable = WebSocketTransport({ url: 'ws://localhost:1', WebSocket });
+    let error;
+    try {
+      await unreachable.connect(session);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+    expect(session.connected).to.equal(false);
+  });
+
+  it('stops forwarding messages after disconnecting', async function () {
+    await transport.connect(session);
+    await transport.disconnect();
+    expect(session.connected).to.equal(false);
+
+    let sent = false;
+    transport.send = () => { sent = true; };
+    session.emit('output', { janus: 'info' });
+    expect(sent).to.equal(false);
+  });
+
+  context('with reconnection enabled', function () {
+    let sessionPlugin;
+
+    // Reply to every message like Janus would, except to the ones in `unanswered`.
+    function answer(socket, unanswered = []) {
+      socket.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (unanswered.includes(msg.janus)) return;
+        const reply = { janus: 'success', transaction: msg.transaction };
+        if (msg.janus === 'create') reply.data = { id: 123 };
+        if (msg.janus === 'attach') reply.data = { id: 456 };
+        socket.send(JSON.stringify(reply));
+      });
+    }
+
+    beforeEach(async function () {
+      transport = WebSocketTransport({
+        url: `ws://localhost:${server.address().port}`,
+        WebSocket,
+        reconnect: { minDelayMs: 10, maxAttempts: 3 },
+      });
+      server.once('connection', (socket) => answer(socket, ['info']));
+      await transport.connect(session);
+      await session.create();
+
+      sessionPlugin = BasePlugin.compose({ properties: { name: 'janus.plugin.echotest' } })();
+      await session.attachPlugin(sessionPlugin);
+    });
+
+    it('reconnects and claims the session', async function () {
+      const claimed = new Promise((resolve) => {
+        server.once('connection', (socket) => {
+          socket.once('message', (data) => resolve(JSON.parse(data)));
+          answer(socket);
+        });
+      });
+      const reconnected = new Promise((resolve) => session.once('reconnected', resolve));
+      serverSocket.terminate();
+
+      const claim = await claimed;
+      expect(claim).to.include({ janus: 'claim', session_id: 123 });
+      await reconnected;
+      expect(session.connected).to.equal(true);
+    });
+
+    it('replays messages which were not answered before the connection was lost', async function () {
+      const response = session.send({ janus: 'info' });
+      server.once('connection', (socket) => answer(socket));
+      serverSocket.terminate();
+      expect((await response).janus).to.equal('success');
+    });
+
+    it('emits reconnected on attached plugins', async function () {
+      server.once('connection', (socket) => answer(socket));
+      const reconnected = new Promise((resolve) => sessionPlugin.once('reconnected', resolve));
+      serverSocket.terminate();
+      await reconnected;
+    });
+
+    it('reconnects when the session lost the connection', async function () {
+      server.once('connection', (socket) => answer(socket));
+      const reconnected = new Promise((resolve) => session.once('reconnected', resolve));
+      session.emit('connection_lost', new Error('Keepalives missed'));
+      await reconnected;
+    });
+
+    it('gives up after the maximum number of attempts', async function () {
+      const failed = new Promise((resolve) => transport.once('reconnect_failed', resolve));
+      serverSocket.terminate();
+      await new Promise((resolve) => server.close(resolve));
+      await failed;
+      expect(transport.reconnectAttempts).to.equal(3);
+    });
+  });
+});